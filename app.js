@@ -15,6 +15,7 @@ const bodyParser = require('body-parser');
 const connectDatabase = require('./config/database');
 const errorMiddleware = require('./middlewares/errors');
 const ErrorHandler = require('./utils/errorHandler');
+const querySchemas = require('./utils/querySchemas');
 
 // Setting up config.env file variables
 dotenv.config({path : './config/config.env'})
@@ -32,6 +33,11 @@ connectDatabase();
 // Set up body parser
 app.use(bodyParser.urlencoded({ extended : true }));
 
+// Resumes are private, they are only served through the applications API
+app.use('/uploads', (req, res, next) => {
+    next(new ErrorHandler(`${req.originalUrl} route not found`, 404));
+});
+
 app.use(express.static('public'));
 
 // Setup security headers
@@ -52,9 +58,12 @@ app.use(mongoSanitize());
 // Prevent XSS attacks
 app.use(xssClean());
 
-// Prevent Parameter Pollution
+// Prevent Parameter Pollution, repeated filters of list endpoints are lists of values
+const listFilters = new Set();
+Object.values(querySchemas).forEach(schema => Object.keys(schema.filters).forEach(field => listFilters.add(field)));
+
 app.use(hpp({
-    whitelist: ['positions']
+    whitelist: [...listFilters]
 }));
 
 // Rate Limiting
@@ -72,10 +81,18 @@ app.use(limiter);
 const jobs = require('./routes/jobs');
 const auth = require('./routes/auth');
 const user = require('./routes/user');
+const search = require('./routes/search');
+const company = require('./routes/company');
+const application = require('./routes/application');
+const audit = require('./routes/audit');
 
 app.use('/api/v1', jobs);
 app.use('/api/v1', auth);
+app.use('/api/v1', search);
+app.use('/api/v1', company);
 app.use('/api/v1', user);
+app.use('/api/v1', application);
+app.use('/api/v1', audit);
 
 // Handle unhandled routes
 app.all('*', (req, res, next) => {
@@ -90,6 +107,22 @@ const server = app.listen(PORT, ()=> {
     console.log(`Server started on port ${process.env.PORT} in ${process.env.NODE_ENV} mode.`);
 });
 
+// Sending saved search alerts
+const { scheduleJobAlerts } = require('./workers/jobAlerts');
+scheduleJobAlerts();
+
+// Publishing scheduled jobs and expiring old ones
+const { scheduleJobLifecycle } = require('./workers/jobLifecycle');
+scheduleJobLifecycle();
+
+// Preparing personal data exports
+const { scheduleDataExports } = require('./workers/dataExports');
+scheduleDataExports();
+
+// Removing deleted jobs and users after retention
+const { schedulePurge } = require('./workers/purge');
+schedulePurge();
+
 // Handling Unhandled Promise Rejection
 process.on('unhandledRejection', err => {
     console.log(`Error: ${err.message}`);
@@ -0,0 +1,130 @@
+const Application = require('../models/applications');
+const JobVersion = require('../models/jobVersions');
+const catchAsyncErrors = require('../middlewares/catchAsyncErrors');
+const ErrorHandler = require('../utils/errorHandler');
+const storage = require('../utils/storage');
+const permissions = require('../utils/permissions');
+
+// Get a single application with status history   =>   /api/v1/application/:id
+exports.getApplication = catchAsyncErrors(async (req, res, next) => {
+    const application = await Application.findById(req.params.id)
+        .populate({
+            path: 'job',
+            select: 'title slug company companyName user'
+        })
+        .populate({
+            path: 'statusHistory.changedBy',
+            select: 'name role'
+        });
+
+    if (!application) {
+        return next(new ErrorHandler('Application not found.', 404));
+    }
+
+    // Only the applicant or the hiring team can see the application
+    const isApplicant = application.user.toString() === req.user.id;
+
+    if (!isApplicant) {
+        await permissions.authorize(req.user, 'applications:view', application.job);
+    }
+
+    // Job posting as it was when the candidate applied
+    const jobVersion = application.job && application.jobVersion && await JobVersion.findOne({
+        job: application.job._id,
+        version: application.jobVersion
+    });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            ...application.toJSON(),
+            jobPosting: jobVersion ? (isApplicant ? jobVersion.getPublicPosting() : jobVersion.posting) : null
+        }
+    });
+});
+
+// Move application through the hiring pipeline   =>   /api/v1/application/:id/status
+exports.updateApplicationStatus = catchAsyncErrors(async (req, res, next) => {
+    const { status, note } = req.body;
+
+    const application = await Application.findById(req.params.id).populate({
+        path: 'job',
+        select: 'user company'
+    });
+
+    if (!application) {
+        return next(new ErrorHandler('Application not found.', 404));
+    }
+
+    // Check if the user can move candidates of this job
+    await permissions.authorize(req.user, 'applications:update', application.job);
+
+    // Withdrawal is reserved to the applicant
+    if (status === 'withdrawn') {
+        return next(new ErrorHandler('Only the applicant can withdraw an application.', 400));
+    }
+
+    if (!application.canChangeStatus(status)) {
+        return next(new ErrorHandler(`Application can not be moved from ${application.status} to ${status}.`, 400));
+    }
+
+    application.changeStatus(status, req.user.id, note);
+    await application.save();
+
+    res.status(200).json({
+        success: true,
+        message: `Application is moved to ${status}.`,
+        data: application
+    });
+});
+
+// Withdraw own application   =>   /api/v1/application/:id/withdraw
+exports.withdrawApplication = catchAsyncErrors(async (req, res, next) => {
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+        return next(new ErrorHandler('Application not found.', 404));
+    }
+
+    if (application.user.toString() !== req.user.id) {
+        return next(new ErrorHandler(`User(${req.user.id}) is not allowed to withdraw this application.`, 403));
+    }
+
+    if (!application.canChangeStatus('withdrawn')) {
+        return next(new ErrorHandler(`Application can not be withdrawn once it is ${application.status}.`, 400));
+    }
+
+    application.changeStatus('withdrawn', req.user.id, req.body.note);
+    await application.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Application is withdrawn.',
+        data: application
+    });
+});
+
+// Download resume of an application   =>   /api/v1/application/:id/resume
+exports.downloadResume = catchAsyncErrors(async (req, res, next) => {
+    const application = await Application.findById(req.params.id).populate({
+        path: 'job',
+        select: 'user company'
+    });
+
+    if (!application) {
+        return next(new ErrorHandler('Application not found.', 404));
+    }
+
+    // Check if the user can see applicants of this job
+    await permissions.authorize(req.user, 'applications:view', application.job);
+
+    if (!(await storage.exists(application.resume))) {
+        return next(new ErrorHandler('Resume file not found.', 404));
+    }
+
+    res.attachment(application.resumeName || application.resume);
+
+    storage.createReadStream(application.resume)
+        .on('error', err => next(err))
+        .pipe(res);
+});
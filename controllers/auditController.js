@@ -0,0 +1,26 @@
+const AuditLog = require('../models/auditLogs');
+const catchAsyncErrors = require('../middlewares/catchAsyncErrors');
+const APIFilters = require('../utils/apiFilters');
+const querySchemas = require('../utils/querySchemas');
+
+// Show audit logs filtered by actor, action, target and date   =>   /api/v1/audit
+// e.g. /api/v1/audit?actor=<id>&action=job.delete&createdAt[gte]=2020-01-01
+exports.getAuditLogs = catchAsyncErrors( async (req, res, next) => {
+    const apiFilters = new APIFilters(AuditLog.find(), req.query, querySchemas.auditLogs)
+        .filter()
+        .sort()
+        .limitFields()
+        .pagination();
+
+    const logs = await apiFilters.query.populate({
+        path : 'actor',
+        select : 'name email role'
+    });
+
+    res.status(200).json({
+        success : true,
+        results : logs.length,
+        pagination : await apiFilters.getPagination(logs, req),
+        data : logs
+    });
+});
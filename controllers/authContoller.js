@@ -1,14 +1,25 @@
 const User = require('../models/users');
+const Session = require('../models/sessions');
 const catchAsyncErrors = require('../middlewares/catchAsyncErrors');
 const ErrorHandler = require('../utils/errorHandler');
 const sendToken = require('../utils/jwtToken');
 const sendEmail = require('../utils/sendEmail');
+const sendVerificationEmail = require('../utils/sendVerificationEmail');
+const loginGuard = require('../utils/loginGuard');
+const auditLog = require('../utils/auditLog');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 
 // Register a new user   =>   /api/v1/register
 exports.registerUser = catchAsyncErrors( async (req, res, next) => {
     const {name,email,password,role} = req.body;
 
+    // Admin role is only given by other admins
+    if(role === 'admin') {
+        return next(new ErrorHandler(`Role(${role}) can not be selected.`, 400));
+    }
+
     const user = await User.create({
         name,
         email,
@@ -16,7 +27,75 @@ exports.registerUser = catchAsyncErrors( async (req, res, next) => {
         role
     });
 
-    sendToken(user, 200, res);
+    // Account can be used right away, posting and applying need a verified email
+    try {
+        await sendVerificationEmail(user, req);
+    } catch (error) {
+        console.log(`Verification email is not sent to ${user.email}: ${error.message}`);
+    }
+
+    await auditLog(req, 'user.register', user, { email : user.email, role : user.role }, user);
+
+    await sendToken(user, 200, res);
+});
+
+// Verify email address   =>   /api/v1/email/verify/:token
+exports.verifyEmail = catchAsyncErrors( async (req, res, next) => {
+    // Hash url token
+    const emailVerificationToken = crypto
+        .createHash('sha256')
+        .update(req.params.token)
+        .digest('hex');
+
+    const user = await User.findOne({
+        emailVerificationToken,
+        emailVerificationExpire: {$gt : Date.now() }
+    });
+
+    if(!user) {
+        return next(new ErrorHandler('Email verification token is invalid or has been expired.', 400));
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+
+    await user.save({ validateBeforeSave : false });
+
+    await auditLog(req, 'user.email.verify', user, { email : user.email }, user);
+
+    res.status(200).json({
+        success : true,
+        message : 'Email is verified successfully.'
+    });
+});
+
+// Resend verification email   =>   /api/v1/email/verify/resend
+exports.resendVerificationEmail = catchAsyncErrors( async (req, res, next) => {
+    const user = await User.findById(req.user.id);
+
+    if(user.emailVerified) {
+        return next(new ErrorHandler('Email is already verified.', 400));
+    }
+
+    // Allow one email per interval
+    const interval = (process.env.EMAIL_VERIFICATION_INTERVAL || 60) * 1000;
+    const waitTime = user.emailVerificationSentAt && user.emailVerificationSentAt.getTime() + interval - Date.now();
+
+    if(waitTime > 0) {
+        return next(new ErrorHandler(`Please wait ${Math.ceil(waitTime / 1000)} seconds before requesting another email.`, 429));
+    }
+
+    try {
+        await sendVerificationEmail(user, req);
+
+        res.status(200).json({
+            success : true,
+            message : `Email sent successfully to: ${user.email}`
+        });
+    } catch (error) {
+        return next(new ErrorHandler('Email is not sent.', 500));
+    }
 });
 
 // Login user  =>  /api/v1/login
@@ -28,10 +107,17 @@ exports.loginUser = catchAsyncErrors( async (req, res, next) => {
         return next(new ErrorHandler('Please enter email & Password'), 400)
     }
 
+    // Checks failed login attempts of account and IP
+    const attempt = await loginGuard.check(email, req.ip);
+    if(!attempt.allowed) {
+        return next(tooManyAttempts(attempt, res));
+    }
+
     // Finding user in database
     const user = await User.findOne({email}).select('+password');
 
     if(!user) {
+        await recordFailedLogin(email, null, req);
         return next(new ErrorHandler('Invalid Email or Password.', 401))
     }
 
@@ -39,13 +125,71 @@ exports.loginUser = catchAsyncErrors( async (req, res, next) => {
     const isPasswordMatched = await user.comparePassword(password);
 
     if(!isPasswordMatched) {
+        await recordFailedLogin(email, user, req);
         return next(new ErrorHandler('Invalid Email or Password', 401));
     }
 
-    sendToken(user, 200, res);
+    if(user.suspended) {
+        return next(new ErrorHandler('Your account is suspended. Please contact support.', 403));
+    }
+
+    if(user.passwordResetRequired) {
+        return next(new ErrorHandler('Your password has been reset by an administrator. Please choose a new password with the link sent to your email.', 403));
+    }
+
+    // Second step of login with authenticator code
+    if(user.twoFactorEnabled) {
+        return sendTwoFactorChallenge(user, res);
+    }
+
+    await loginGuard.recordSuccess(email, req.ip);
+    await auditLog(req, 'user.login', user, null, user);
+    await sendToken(user, 200, res);
 
 });
 
+// Complete login with two factor code  =>  /api/v1/login/2fa
+exports.loginTwoFactor = catchAsyncErrors( async (req, res, next) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+        decoded = jwt.verify(String(challengeToken), process.env.JWT_SECRET);
+    } catch (error) {
+        return next(new ErrorHandler('Login challenge is invalid or has been expired. Login again.', 401));
+    }
+
+    if(decoded.purpose !== '2fa') {
+        return next(new ErrorHandler('Login challenge is invalid or has been expired. Login again.', 401));
+    }
+
+    const user = await User.findById(decoded.id)
+        .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep');
+
+    if(!user || !user.twoFactorEnabled) {
+        return next(new ErrorHandler('Login challenge is invalid or has been expired. Login again.', 401));
+    }
+
+    // Wrong codes count as failed logins of the account
+    const attempt = await loginGuard.check(user.email, req.ip);
+    if(!attempt.allowed) {
+        return next(tooManyAttempts(attempt, res));
+    }
+
+    const isCodeMatched = recoveryCode ? user.useRecoveryCode(recoveryCode) : user.verifyTwoFactorCode(code);
+
+    if(!isCodeMatched) {
+        await recordFailedLogin(user.email, user, req);
+        return next(new ErrorHandler('Invalid authentication code.', 401));
+    }
+
+    await user.save({ validateBeforeSave : false });
+
+    await loginGuard.recordSuccess(user.email, req.ip);
+    await auditLog(req, 'user.login', user, { twoFactor : recoveryCode ? 'recoveryCode' : 'code' }, user);
+    await sendToken(user, 200, res);
+});
+
 // Forgot Password  =>  /api/v1/password/forgot
 exports.forgotPassword = catchAsyncErrors( async (req, res, next) => {
     const user = await User.findOne({email : req.body.email});
@@ -60,6 +204,8 @@ exports.forgotPassword = catchAsyncErrors( async (req, res, next) => {
 
     await user.save({ validateBeforeSave : false });
 
+    await auditLog(req, 'user.password.forgot', user, null, user);
+
     // Create reset password url
     const resetUrl = `${req.protocol}://${req.get('host')}/api/v1/password/reset/${resetToken}`;
 
@@ -104,26 +250,132 @@ exports.resetPassword = catchAsyncErrors(async(req, res, next) => {
         return next(new ErrorHandler('Password Reset token is invalid or has been expired.', 400));
     }
 
+    if(user.suspended) {
+        return next(new ErrorHandler('Your account is suspended. Please contact support.', 403));
+    }
+
     // Setup new password
     user.password = req.body.password;
 
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
+    user.passwordResetRequired = false;
 
     await user.save();
 
-    sendToken(user, 200, res);
+    // Sign out from all devices
+    await Session.revokeAll(user._id);
+
+    await auditLog(req, 'user.password.reset', user, null, user);
+
+    // Access to the email is not enough to pass two factor authentication
+    if(user.twoFactorEnabled) {
+        return sendTwoFactorChallenge(user, res);
+    }
+
+    await sendToken(user, 200, res);
+});
+
+// Refresh access token with rotating refresh token   =>   /api/v1/token/refresh
+exports.refreshToken = catchAsyncErrors( async (req, res, next) => {
+    const fromCookie = !req.body.refreshToken;
+    const token = req.body.refreshToken || req.cookies.refreshToken;
+
+    if(!token || token === 'none') {
+        return next(new ErrorHandler('Please provide refresh token.', 401));
+    }
+
+    const [sessionId, secret = ''] = String(token).split('.');
+
+    if(!mongoose.Types.ObjectId.isValid(sessionId)) {
+        return next(new ErrorHandler('Refresh token is invalid.', 401));
+    }
+
+    const session = await Session.findById(sessionId).select('+refreshToken');
+
+    if(!session || !session.isActive()) {
+        return next(new ErrorHandler('Refresh token is invalid or has been expired.', 401));
+    }
+
+    if(fromCookie && !sendToken.verifyCsrfToken(session._id, req.get('x-csrf-token'))) {
+        return next(new ErrorHandler('Invalid CSRF token.', 403));
+    }
+
+    // A rotated token being used again means it was stolen
+    if(session.refreshToken !== Session.hashToken(secret)) {
+        session.revokedAt = Date.now();
+        await session.save();
+
+        return next(new ErrorHandler('Refresh token was already used. Login again.', 401));
+    }
+
+    const user = await User.findById(session.user);
+
+    if(!user) {
+        return next(new ErrorHandler('Refresh token is invalid.', 401));
+    }
+
+    if(user.suspended) {
+        return next(new ErrorHandler('Your account is suspended. Please contact support.', 403));
+    }
+
+    await sendToken(user, 200, res, session);
 });
 
 // Logout user   =>   /api/v1/logout
 exports.logout = catchAsyncErrors( async(req, res, next) => {
-    res.cookie('token', 'none', {
-        expires : new Date(Date.now()),
-        httpOnly : true 
-    });
+    req.authSession.revokedAt = Date.now();
+    await req.authSession.save();
+
+    await auditLog(req, 'user.logout', req.user);
+
+    sendToken.clearToken(res);
 
     res.status(200).json({
         success : true,
         message : 'Logged out successfully.'
     });
-});
\ No newline at end of file
+});
+
+// Short lived token to complete login with /login/2fa
+function sendTwoFactorChallenge(user, res) {
+    const challengeToken = jwt.sign({ id : user._id, purpose : '2fa' }, process.env.JWT_SECRET, {
+        expiresIn : '5m'
+    });
+
+    res.status(200).json({
+        success : true,
+        twoFactorRequired : true,
+        challengeToken
+    });
+}
+
+// Error for blocked login attempts
+function tooManyAttempts(attempt, res) {
+    res.set('Retry-After', String(attempt.retryAfter));
+
+    if(attempt.locked) {
+        return new ErrorHandler(`Too many failed login attempts. Try again in ${Math.ceil(attempt.retryAfter / 60)} minutes.`, 429);
+    }
+
+    return new ErrorHandler(`Please wait ${attempt.retryAfter} seconds before trying to login again.`, 429);
+}
+
+// Count failed login and warn account owner when the account gets locked
+async function recordFailedLogin(email, user, req) {
+    const result = await loginGuard.recordFailure(email, req.ip);
+
+    if(!result.accountLocked || !user) return;
+
+    const message = `Your Jobbee account has been locked for ${Math.ceil(loginGuard.lockTime / 60000)} minutes after ${result.failures} failed login attempts from IP: ${req.ip}\n\nIf this was not you, then please reset your password.`
+
+    try {
+        await sendEmail({
+            email : user.email,
+            subject : 'Jobbee-API Account Locked',
+            message
+        });
+    } catch (error) {
+        console.log(`Lockout email is not sent to ${user.email}: ${error.message}`);
+    }
+}
\ No newline at end of file
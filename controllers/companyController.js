@@ -0,0 +1,303 @@
+const Company = require('../models/companies');
+const Job = require('../models/jobs');
+const User = require('../models/users');
+const catchAsyncErrors = require('../middlewares/catchAsyncErrors');
+const ErrorHandler = require('../utils/errorHandler');
+const APIFilters = require('../utils/apiFilters');
+const querySchemas = require('../utils/querySchemas');
+const permissions = require('../utils/permissions');
+const sendEmail = require('../utils/sendEmail');
+const Invitation = require('../models/invitations');
+
+// Get all Companies  =>  /api/v1/companies
+exports.getCompanies = catchAsyncErrors(async (req, res, next) => {
+    const apiFilters = new APIFilters(Company.find(), req.query, querySchemas.companies)
+        .filter()
+        .sort()
+        .limitFields()
+        .pagination();
+
+    const companies = await apiFilters.query;
+
+    res.status(200).json({
+        success: true,
+        results: companies.length,
+        pagination: await apiFilters.getPagination(companies, req),
+        data: companies.map(hideMembers)
+    });
+});
+
+// Get a company with its open jobs  =>  /api/v1/company/:slug
+exports.getCompany = catchAsyncErrors(async (req, res, next) => {
+    const company = await Company.findOne({ slug: req.params.slug });
+
+    if (!company) {
+        return next(new ErrorHandler('Company not found.', 404));
+    }
+
+    const jobs = await Job.find({
+        company: company._id,
+        ...Job.publicFilter()
+    }).sort('-postingDate');
+
+    res.status(200).json({
+        success: true,
+        data: {
+            ...hideMembers(company),
+            jobs
+        }
+    });
+});
+
+// Create a new Company  =>  /api/v1/company/new
+exports.newCompany = catchAsyncErrors(async (req, res, next) => {
+    // Companies are unique by slug, so "ACME Inc." and "acme" are the same
+    const existing = await Company.findOne({ slug: Company.createSlug(req.body.name || '') });
+    if (existing) {
+        return next(new ErrorHandler(`Company(${existing.name}) already exists. Ask its owners to invite you.`, 400));
+    }
+
+    // Creator is the first owner of the company
+    req.body.members = [{ user: req.user.id, role: 'owner' }];
+
+    const company = await Company.create(req.body);
+
+    res.status(200).json({
+        success: true,
+        message: 'Company Created.',
+        data: company
+    });
+});
+
+// Update a Company  =>  /api/v1/company/:id
+exports.updateCompany = catchAsyncErrors(async (req, res, next) => {
+    const company = await Company.findById(req.params.id);
+
+    if (!company) {
+        return next(new ErrorHandler('Company not found.', 404));
+    }
+
+    // Check if the user can update company
+    await permissions.authorize(req.user, 'company:update', company);
+
+    const fields = ['name', 'logo', 'website', 'description', 'size', 'headquarters'];
+    fields.forEach(field => {
+        if (req.body[field] !== undefined) company[field] = req.body[field];
+    });
+
+    const nameChanged = company.isModified('name');
+    await company.save();
+
+    // Keep the company name of jobs in sync
+    if (nameChanged) {
+        await Job.updateMany({ company: company._id }, { companyName: company.name });
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Company is updated.',
+        data: company
+    });
+});
+
+// Delete a Company  =>  /api/v1/company/:id
+exports.deleteCompany = catchAsyncErrors(async (req, res, next) => {
+    const company = await Company.findById(req.params.id);
+
+    if (!company) {
+        return next(new ErrorHandler('Company not found.', 404));
+    }
+
+    // Check if the user can delete company
+    await permissions.authorize(req.user, 'company:delete', company);
+
+    const jobs = await Job.countDocuments({ company: company._id });
+    if (jobs > 0) {
+        return next(new ErrorHandler('Company still has jobs. Delete them first.', 400));
+    }
+
+    await Invitation.deleteMany({ company: company._id });
+    await company.remove();
+
+    res.status(200).json({
+        success: true,
+        message: 'Company is deleted.'
+    });
+});
+
+// Get team members of a company  =>  /api/v1/company/:id/members
+exports.getMembers = catchAsyncErrors(async (req, res, next) => {
+    const company = await Company.findById(req.params.id).populate({
+        path: 'members.user',
+        select: 'name email'
+    });
+
+    if (!company) {
+        return next(new ErrorHandler('Company not found.', 404));
+    }
+
+    await permissions.authorize(req.user, 'company:view', company);
+
+    // Pending invitations are only shown to those who manage the team
+    let invitations;
+    if (await permissions.can(req.user, 'members:manage', company)) {
+        invitations = await Invitation.find({
+            company: company._id,
+            expiresAt: { $gt: Date.now() }
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        results: company.members.length,
+        data: company.members,
+        invitations
+    });
+});
+
+// Invite a member to company team  =>  /api/v1/company/:id/invite
+exports.inviteMember = catchAsyncErrors(async (req, res, next) => {
+    const company = await Company.findById(req.params.id);
+
+    if (!company) {
+        return next(new ErrorHandler('Company not found.', 404));
+    }
+
+    await permissions.authorize(req.user, 'members:manage', company);
+
+    const email = String(req.body.email || '').toLowerCase().trim();
+
+    const user = await User.findOne({ email });
+    if (user && company.getMemberRole(user._id)) {
+        return next(new ErrorHandler(`${email} is already a member of this company.`, 400));
+    }
+
+    // Replace previous invitation of the same email
+    await Invitation.deleteMany({ company: company._id, email });
+
+    const invitation = new Invitation({
+        company: company._id,
+        email,
+        role: req.body.role,
+        invitedBy: req.user.id
+    });
+
+    const token = invitation.getInvitationToken();
+    await invitation.save();
+
+    // Create accept invitation url
+    const inviteUrl = `${req.protocol}://${req.get('host')}/api/v1/invitation/${token}/accept`;
+
+    const message = `${req.user.name} invited you to join ${company.name} as ${invitation.role} on Jobbee.\n\nAccept the invitation with an employeer account registered with this email:\n\n${inviteUrl}\n\nThis link expires in 7 days.`
+
+    try {
+        await sendEmail({
+            email,
+            subject: `Jobbee-API Invitation to ${company.name}`,
+            message
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Invitation sent successfully to: ${email}`
+        });
+    } catch (error) {
+        await invitation.remove();
+
+        return next(new ErrorHandler('Email is not sent.', 500));
+    }
+});
+
+// Accept invitation to company team  =>  /api/v1/invitation/:token/accept
+exports.acceptInvitation = catchAsyncErrors(async (req, res, next) => {
+    const invitation = await Invitation.findOne({
+        token: Invitation.hashToken(req.params.token),
+        expiresAt: { $gt: Date.now() }
+    });
+
+    if (!invitation) {
+        return next(new ErrorHandler('Invitation is invalid or has been expired.', 400));
+    }
+
+    if (invitation.email !== req.user.email.toLowerCase()) {
+        return next(new ErrorHandler('This invitation was sent to another email address.', 403));
+    }
+
+    const company = await Company.findById(invitation.company);
+
+    if (!company) {
+        return next(new ErrorHandler('Company not found.', 404));
+    }
+
+    if (!company.getMemberRole(req.user.id)) {
+        company.members.push({ user: req.user.id, role: invitation.role });
+        await company.save();
+    }
+
+    await invitation.remove();
+
+    res.status(200).json({
+        success: true,
+        message: `You joined ${company.name}.`,
+        data: hideMembers(company)
+    });
+});
+
+// Change role of a team member  =>  /api/v1/company/:id/member/:userId
+exports.updateMember = catchAsyncErrors(async (req, res, next) => {
+    const company = await Company.findById(req.params.id);
+
+    if (!company) {
+        return next(new ErrorHandler('Company not found.', 404));
+    }
+
+    await permissions.authorize(req.user, 'members:manage', company);
+
+    const member = company.members.find(member => member.user.toString() === req.params.userId);
+
+    if (!member) {
+        return next(new ErrorHandler('Member not found.', 404));
+    }
+
+    member.role = req.body.role;
+    await company.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Member is updated.',
+        data: company.members
+    });
+});
+
+// Remove a team member, members can also leave  =>  /api/v1/company/:id/member/:userId
+exports.removeMember = catchAsyncErrors(async (req, res, next) => {
+    const company = await Company.findById(req.params.id);
+
+    if (!company) {
+        return next(new ErrorHandler('Company not found.', 404));
+    }
+
+    if (req.params.userId !== req.user.id) {
+        await permissions.authorize(req.user, 'members:manage', company);
+    }
+
+    const member = company.members.find(member => member.user.toString() === req.params.userId);
+
+    if (!member) {
+        return next(new ErrorHandler('Member not found.', 404));
+    }
+
+    company.members.pull(member._id);
+    await company.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Member is removed.'
+    });
+});
+
+// Team members are not shown on public pages
+function hideMembers(company) {
+    const { members, ...data } = company.toJSON();
+    return data;
+}
@@ -1,16 +1,29 @@
 const Job = require('../models/jobs');
+const Application = require('../models/applications');
+const Bookmark = require('../models/bookmarks');
+const Company = require('../models/companies');
+const JobVersion = require('../models/jobVersions');
 
 const geoCoder = require('../utils/geocoder');
 const ErrorHandler = require('../utils/errorHandler');
 const catchAsyncErrors = require('../middlewares/catchAsyncErrors');
 const APIFilters = require('../utils/apiFilters');
+const querySchemas = require('../utils/querySchemas');
+const { escapeRegex } = require('../utils/textSearch');
+const permissions = require('../utils/permissions');
+const auditLog = require('../utils/auditLog');
+const softDelete = require('../utils/softDelete');
+const storage = require('../utils/storage');
+const parseResume = require('../utils/resumeParser');
 const path = require('path');
-const fs = require('fs');
 
-// Get all Jobs  =>  /api/v1/jobs
+const { distanceUnits } = geoCoder;
+
+// Get all published Jobs  =>  /api/v1/jobs
 exports.getJobs = catchAsyncErrors(async (req, res, next) => {
 
-    const apiFilters = new APIFilters(Job.find(), req.query)
+    // Query string can not override the public conditions inside $and
+    const apiFilters = new APIFilters(Job.find({ $and: [Job.publicFilter()] }), req.query, querySchemas.jobs)
         .filter()
         .sort()
         .limitFields()
@@ -19,21 +32,84 @@ exports.getJobs = catchAsyncErrors(async (req, res, next) => {
 
     const jobs = await apiFilters.query;
 
+    // Counts of filter options for all matching jobs with ?facets=true
+    const facets = req.query.facets === 'true' ? await Job.getFacets(apiFilters.getConditions()) : undefined;
+
     res.status(200).json({
         success: true,
         results: jobs.length,
-        data: jobs
+        pagination: await apiFilters.getPagination(jobs, req),
+        facets,
+        data: await Bookmark.markSaved(jobs, req.user && req.user.id)
+    });
+});
+
+// Autocomplete job titles and companies  =>  /api/v1/jobs/suggest?q=dev
+exports.suggestJobs = catchAsyncErrors(async (req, res, next) => {
+    const prefix = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    if (prefix.length < 2 || prefix.length > 50) {
+        return next(new ErrorHandler('Please enter 2 to 50 characters to get suggestions.', 400));
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 5, 10);
+
+    // Words of titles and company names starting with the prefix
+    const regex = new RegExp(`(^|\\s)${escapeRegex(prefix)}`, 'i');
+
+    const titles = await Job.aggregate([
+        { $match: { ...Job.publicFilter(), deletedAt: null, title: regex } },
+        { $group: { _id: '$title', jobs: { $sum: 1 } } },
+        { $sort: { jobs: -1, _id: 1 } },
+        { $limit: limit },
+        { $project: { _id: 0, title: '$_id', jobs: 1 } }
+    ]);
+
+    const companies = await Company.find({ name: regex })
+        .select('name slug logo')
+        .sort('name')
+        .limit(limit);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            titles,
+            companies
+        }
     });
 });
 
 // Create a new Job   =>  /api/v1/job/new
 exports.newJob = catchAsyncErrors(async (req, res, next) => {
 
-    // Adding user to body
+    // Adding user and company to body
     req.body.user = req.user.id;
 
+    const company = await findPostingCompany(req.body.company, req.user);
+    req.body.companyName = company.name;
+
+    // Jobs are published right away unless saved as draft or scheduled for later
+    const scheduled = req.body.publishAt && new Date(req.body.publishAt) > Date.now();
+    req.body.status = req.body.status === 'draft' || scheduled ? 'draft' : 'published';
+    delete req.body.closedAt;
+    delete req.body.closeReason;
+
+    delete req.body.version;
+    delete req.body.annualSalary;
+
+    // Jobs are deleted through /job/:id only
+    delete req.body.deletedAt;
+    delete req.body.deletedBy;
+
+    if (req.body.salary !== undefined && !isSalaryRange(req.body.salary)) {
+        return next(new ErrorHandler('Please enter salary with min, max, currency and period.', 400));
+    }
+
     const job = await Job.create(req.body);
 
+    await JobVersion.record(job, req.user.id);
+    await auditLog(req, 'job.create', job, { title: job.title, company: job.companyName });
+
     res.status(200).json({
         success: true,
         message: 'Job Created.',
@@ -47,15 +123,32 @@ exports.getJob = catchAsyncErrors(async (req, res, next) => {
     const job = await Job.find({ $and: [{ _id: req.params.id }, { slug: req.params.slug }] }).populate({
         path: 'user',
         select: 'name'
+    }).populate({
+        path: 'company',
+        select: 'name slug logo website'
     });
 
     if (!job || job.length === 0) {
         return next(new ErrorHandler('Job not found', 404));
     }
 
+    // Drafts are only visible to the hiring team
+    // Permissions are checked with ids as populated company and user miss the needed fields
+    if (job[0].status === 'draft') {
+        const { company, user } = job[0];
+        const isTeam = await permissions.can(req.user, 'job:update', {
+            company: company && company._id,
+            user: user && user._id
+        });
+
+        if (!isTeam) {
+            return next(new ErrorHandler('Job not found', 404));
+        }
+    }
+
     res.status(200).json({
         success: true,
-        data: job
+        data: await Bookmark.markSaved(job, req.user && req.user.id)
     });
 });
 
@@ -67,17 +160,63 @@ exports.updateJob = catchAsyncErrors(async (req, res, next) => {
         return next(new ErrorHandler('Job not found', 404));
     }
 
-    // Check if the user is owner
-    if (job.user.toString() !== req.user.id && req.user.role !== 'admin') {
-        return next(new ErrorHandler(`User(${req.user.id}) is not allowed to update this job.`))
+    // Check if the user can update job
+    await permissions.authorize(req.user, 'job:update', job);
+
+    // Moving job to another company
+    if (req.body.company) {
+        const company = await findPostingCompany(req.body.company, req.user);
+        req.body.companyName = company.name;
+    } else {
+        delete req.body.companyName;
+    }
+
+    // Status is changed through /job/:id/status
+    delete req.body.status;
+    delete req.body.closedAt;
+    delete req.body.closeReason;
+    delete req.body.version;
+    delete req.body.annualSalary;
+
+    // Owner and deletion are not changed by updates
+    delete req.body.user;
+    delete req.body.deletedAt;
+    delete req.body.deletedBy;
+
+    // Salary fields can be updated one by one
+    if (req.body.salary !== undefined) {
+        if (!isSalaryRange(req.body.salary)) {
+            return next(new ErrorHandler('Please enter salary with min, max, currency and period.', 400));
+        }
+
+        req.body.salary = { ...job.toObject().salary, ...req.body.salary };
+    }
+
+    if (req.body.publishAt && job.status !== 'draft') {
+        return next(new ErrorHandler('Only draft jobs can be scheduled.', 400));
     }
 
+    const previousJob = job;
+
     job = await Job.findByIdAndUpdate(req.params.id, req.body, {
         new: true,
         runValidators: true,
         useFindAndModify: false
     });
 
+    // New version is kept when the posting itself is changed
+    const changes = auditLog.diff(previousJob, job, JobVersion.versionedFields);
+
+    if (Object.keys(changes).length > 0) {
+        await JobVersion.record(previousJob);
+
+        job.version = (previousJob.version || 1) + 1;
+        await Job.updateOne({ _id: job._id }, { version: job.version });
+        await JobVersion.record(job, req.user.id, Object.keys(changes));
+    }
+
+    await auditLog(req, 'job.update', job, auditLog.diff(previousJob, job, Object.keys(req.body)));
+
     res.status(200).json({
         success: true,
         message: 'Job is updated.',
@@ -87,73 +226,360 @@ exports.updateJob = catchAsyncErrors(async (req, res, next) => {
 
 // Delete a Job   =>  /api/v1/job/:id
 exports.deleteJob = catchAsyncErrors(async (req, res, next) => {
-    let job = await Job.findById(req.params.id).select('+applicantsApplied');
+    let job = await Job.findById(req.params.id);
 
     if (!job) {
         return next(new ErrorHandler('Job not found', 404));
     }
 
-    // Check if the user is owner
-    if (job.user.toString() !== req.user.id && req.user.role !== 'admin') {
-        return next(new ErrorHandler(`User(${req.user.id}) is not allowed to delete this job.`))
+    // Check if the user can delete job
+    await permissions.authorize(req.user, 'job:delete', job);
+
+    // Applications and files are deleted when the job is purged
+    await job.softDelete(req.user.id);
+
+    await auditLog(req, 'job.delete', job, { title: job.title, company: job.companyName });
+
+    res.status(200).json({
+        success: true,
+        message: `Job is deleted. It can be restored by an admin within ${softDelete.retentionDays()} days.`
+    });
+
+})
+
+// Restore a deleted Job  =>  /api/v1/job/:id/restore
+exports.restoreJob = catchAsyncErrors(async (req, res, next) => {
+    const job = await Job.findOne({ _id: req.params.id, deletedAt: { $ne: null } }).withDeleted();
+
+    if (!job) {
+        return next(new ErrorHandler('Deleted job not found.', 404));
+    }
+
+    if (job.company && !(await Company.exists({ _id: job.company }))) {
+        return next(new ErrorHandler('Company of this job does not exist anymore.', 400));
+    }
+
+    await job.restore();
+
+    await auditLog(req, 'job.restore', job, { title: job.title, company: job.companyName });
+
+    res.status(200).json({
+        success: true,
+        message: 'Job is restored.',
+        data: job
+    });
+});
+
+// Copy a Job as a new draft  =>  /api/v1/job/:id/duplicate
+exports.duplicateJob = catchAsyncErrors(async (req, res, next) => {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+        return next(new ErrorHandler('Job not found', 404));
     }
 
-    // Deleting files associated with job
+    // Copies are posted for the same company
+    const company = await findPostingCompany(job.company, req.user);
 
-    for (let i = 0; i < job.applicantsApplied.length; i++) {
-        let filepath = `${__dirname}/public/uploads/${job.applicantsApplied[i].resume}`.replace('\\controllers', '');
+    const data = job.toObject();
+    const copy = { user: req.user.id, status: 'draft' };
 
-        fs.unlink(filepath, err => {
-            if (err) return console.log(err);
+    JobVersion.versionedFields
+        .filter(field => field !== 'lastDate')
+        .forEach(field => {
+            copy[field] = data[field];
         });
+
+    copy.companyName = company.name;
+
+    const newJob = await Job.create(copy);
+
+    await JobVersion.record(newJob, req.user.id);
+    await auditLog(req, 'job.duplicate', newJob, { source: job._id });
+
+    res.status(200).json({
+        success: true,
+        message: 'Job is copied as draft.',
+        data: newJob
+    });
+});
+
+// Publish a Job again with new dates  =>  /api/v1/job/:id/repost
+exports.repostJob = catchAsyncErrors(async (req, res, next) => {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+        return next(new ErrorHandler('Job not found', 404));
     }
 
-    job = await Job.findByIdAndDelete(req.params.id);
+    // Check if the user can update job
+    await permissions.authorize(req.user, 'job:update', job);
+
+    if (job.status === 'draft') {
+        return next(new ErrorHandler('Draft jobs can not be reposted. Publish it instead.', 400));
+    }
+
+    const lastDate = req.body.lastDate ? new Date(req.body.lastDate) : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(lastDate) || lastDate < new Date(Date.now())) {
+        return next(new ErrorHandler('Please enter a future last date for this job.', 400));
+    }
+
+    await JobVersion.record(job);
+
+    const previousStatus = job.status;
+
+    job.status = 'published';
+    job.postingDate = Date.now();
+    job.lastDate = lastDate;
+    job.closedAt = undefined;
+    job.closeReason = undefined;
+    job.version = (job.version || 1) + 1;
+    await job.save();
+
+    await JobVersion.record(job, req.user.id, ['lastDate']);
+    await auditLog(req, 'job.repost', job, {
+        status: { from: previousStatus, to: job.status },
+        lastDate: job.lastDate
+    });
 
     res.status(200).json({
         success: true,
-        message: 'Job is deleted.'
+        message: 'Job is reposted.',
+        data: job
     });
+});
 
-})
+// Get edit history of a Job  =>  /api/v1/job/:id/versions
+exports.getJobVersions = catchAsyncErrors(async (req, res, next) => {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+        return next(new ErrorHandler('Job not found', 404));
+    }
+
+    // Check if the user can see job history
+    await permissions.authorize(req.user, 'job:history', job);
+
+    const versions = await JobVersion.find({ job: job._id })
+        .populate({
+            path: 'editedBy',
+            select: 'name'
+        })
+        .sort('-version');
+
+    res.status(200).json({
+        success: true,
+        results: versions.length,
+        data: versions
+    });
+});
+
+// Get a Job as it was in the given version  =>  /api/v1/job/:id/versions/:version
+exports.getJobVersion = catchAsyncErrors(async (req, res, next) => {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+        return next(new ErrorHandler('Job not found', 404));
+    }
+
+    // Check if the user can see job history
+    await permissions.authorize(req.user, 'job:history', job);
+
+    const version = await JobVersion.findOne({ job: job._id, version: Number(req.params.version) || 0 })
+        .populate({
+            path: 'editedBy',
+            select: 'name'
+        });
+
+    if (!version) {
+        return next(new ErrorHandler(`Version ${req.params.version} of this job not found.`, 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: version
+    });
+});
+
+// Publish, pause or close a Job  =>  /api/v1/job/:id/status
+exports.updateJobStatus = catchAsyncErrors(async (req, res, next) => {
+    const { status, reason } = req.body;
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+        return next(new ErrorHandler('Job not found', 404));
+    }
+
+    // Check if the user can update job
+    await permissions.authorize(req.user, 'job:update', job);
+
+    if (!job.canChangeStatus(status)) {
+        return next(new ErrorHandler(`Job can not be moved from ${job.status} to ${status}.`, 400));
+    }
+
+    if (status === 'published' && job.lastDate < new Date(Date.now())) {
+        return next(new ErrorHandler('Last date of this job has passed. Please update it first or repost the job.', 400));
+    }
 
-// Search jobs with radius  =>  /api/v1/jobs/:zipcode/:distance
+    const previousStatus = job.status;
+
+    job.changeStatus(status, reason);
+    await job.save();
+
+    await auditLog(req, 'job.status.update', job, {
+        status: { from: previousStatus, to: job.status },
+        reason: job.closeReason
+    });
+
+    res.status(200).json({
+        success: true,
+        message: `Job is ${job.status}.`,
+        data: job
+    });
+});
+
+// Search jobs near a zipcode or coordinates  =>  /api/v1/jobs/nearby?zipcode=10001&distance=20&unit=km
+// Also available as  =>  /api/v1/jobs/:zipcode/:distance
 exports.getJobsInRadius = catchAsyncErrors(async (req, res, next) => {
-    const { zipcode, distance } = req.params;
+    const { lat, lng, zipcode, distance, unit = 'mi', ...query } = { ...req.query, ...req.params };
+
+    if (!Object.keys(distanceUnits).includes(unit)) {
+        throw new ErrorHandler('Please select unit mi or km.', 400);
+    }
+
+    const radius = Number(distance);
 
-    // Getting latitude & longitude from geocoder with zipcode
-    const loc = await geoCoder.geocode(zipcode);
-    const latitude = loc[0].latitude;
-    const longitude = loc[0].longitude;
+    if (!(radius > 0)) {
+        throw new ErrorHandler('Please enter distance greater than 0.', 400);
+    }
+
+    // Results are ordered by distance which a cursor can not follow
+    if (query.cursor !== undefined) {
+        throw new ErrorHandler('Cursor pagination is not available for nearby jobs.', 400);
+    }
 
-    const radius = distance / 3963;
+    const center = await resolveLocation(lat, lng, zipcode);
+    const { meters, earthRadius } = distanceUnits[unit];
 
-    const jobs = await Job.find({
-        location: { $geoWithin: { $centerSphere: [[longitude, latitude], radius] } }
+    // $geoWithin keeps the same conditions usable for counting all results
+    const apiFilters = new APIFilters(Job.find({
+        $and: [Job.publicFilter()],
+        location: { $geoWithin: { $centerSphere: [center, radius / earthRadius] } }
+    }), query, querySchemas.nearbyJobs)
+        .filter()
+        .pagination();
+
+    const { location, ...conditions } = apiFilters.getConditions();
+
+    const pipeline = [{
+        $geoNear: {
+            near: { type: 'Point', coordinates: center },
+            key: 'location.coordinates',
+            distanceField: 'distance',
+            maxDistance: radius * meters,
+            distanceMultiplier: 1 / meters,
+            spherical: true,
+            query: { ...conditions, deletedAt: null }
+        }
+    }];
+
+    // $geoNear already returns the closest jobs first
+    const sortBy = apiFilters.getSort();
+
+    if (sortBy !== 'distance') {
+        const sort = {};
+        sortBy.split(',').forEach(field => {
+            sort[field.replace(/^[-+]/, '')] = field.startsWith('-') ? -1 : 1;
+        });
+
+        pipeline.push({ $sort: sort });
+    }
+
+    pipeline.push(
+        { $skip: (apiFilters.page - 1) * apiFilters.limit },
+        { $limit: apiFilters.limit },
+        { $project: { distance: 1 } }
+    );
+
+    const nearby = await Job.aggregate(pipeline);
+
+    // Load the documents so fields and salary visibility are handled like other lists
+    const found = await new APIFilters(Job.find({ _id: { $in: nearby.map(job => job._id) } }), query, querySchemas.nearbyJobs)
+        .limitFields()
+        .query;
+
+    const jobs = [];
+
+    nearby.forEach(result => {
+        const job = found.find(job => job._id.equals(result._id));
+        if (!job) return;
+
+        job.set('distance', Math.round(result.distance * 100) / 100, { strict: false });
+        jobs.push(job);
     });
 
     res.status(200).json({
         success: true,
         results: jobs.length,
-        data: jobs
+        unit,
+        pagination: await apiFilters.getPagination(jobs, req),
+        data: await Bookmark.markSaved(jobs, req.user && req.user.id)
     });
-
 });
 
 // Get stats about a topic(job)  =>  /api/v1/stats/:topic
 exports.jobStats = catchAsyncErrors(async (req, res, next) => {
     const stats = await Job.aggregate([
         {
-            $match: { $text: { $search: "\"" + req.params.topic + "\"" } }
+            $match: { $text: { $search: "\"" + req.params.topic + "\"" }, deletedAt: null, ...Job.publicFilter() }
+        },
+        {
+            // Hidden salaries are counted as jobs but not in salary ranges
+            $project: {
+                experience: { $toUpper: '$experience' },
+                positions: 1,
+                currency: '$salary.currency',
+                minSalary: { $cond: ['$salary.hidden', null, '$annualSalary.min'] },
+                maxSalary: { $cond: ['$salary.hidden', null, '$annualSalary.max'] }
+            }
         },
         {
             $group: {
-                _id: { $toUpper: '$experience' },
+                _id: { experience: '$experience', currency: '$currency' },
                 totalJobs: { $sum: 1 },
-                avgPosition: { $avg: '$positions' },
-                avgSalary: { $avg: '$salary' },
-                minSalary: { $min: '$salary' },
-                maxSalary: { $max: '$salary' }
+                totalPositions: { $sum: '$positions' },
+                salaryJobs: { $sum: { $cond: [{ $eq: ['$minSalary', null] }, 0, 1] } },
+                avgSalary: { $avg: { $avg: ['$minSalary', '$maxSalary'] } },
+                minSalary: { $min: '$minSalary' },
+                maxSalary: { $max: '$maxSalary' }
+            }
+        },
+        {
+            // Salaries of different currencies are not mixed, yearly ranges are given per currency
+            $group: {
+                _id: '$_id.experience',
+                totalJobs: { $sum: '$totalJobs' },
+                totalPositions: { $sum: '$totalPositions' },
+                salaries: {
+                    $push: {
+                        currency: '$_id.currency',
+                        totalJobs: '$salaryJobs',
+                        avgSalary: '$avgSalary',
+                        minSalary: '$minSalary',
+                        maxSalary: '$maxSalary'
+                    }
+                }
+            }
+        },
+        {
+            $project: {
+                totalJobs: 1,
+                avgPosition: { $divide: ['$totalPositions', '$totalJobs'] },
+                salaries: {
+                    $filter: { input: '$salaries', cond: { $gt: ['$$this.totalJobs', 0] } }
+                }
             }
         }
     ]);
@@ -170,22 +596,25 @@ exports.jobStats = catchAsyncErrors(async (req, res, next) => {
 
 // Apply to job using Resume  =>  /api/v1/job/:id/apply
 exports.applyJob = catchAsyncErrors(async (req, res, next) => {
-    let job = await Job.findById(req.params.id).select('+applicantsApplied');
+    let job = await Job.findById(req.params.id);
 
     if (!job) {
         return next(new ErrorHandler('Job not found.', 404));
     }
 
+    if (job.status !== 'published') {
+        return next(new ErrorHandler(`You can not apply to this job. Job is ${job.status}.`, 400));
+    }
+
     // Check that if job last date has been passed or not
     if (job.lastDate < new Date(Date.now())) {
         return next(new ErrorHandler('You can not apply to this job. Date is over.', 400));
     }
 
     // Check if user has applied before
-    for (let i = 0; i < job.applicantsApplied.length; i++) {
-        if (job.applicantsApplied[i].id === req.user.id) {
-            return next(new ErrorHandler('You have already applied for this job.', 400))
-        }
+    const applied = await Application.exists({ job: job._id, user: req.user.id });
+    if (applied) {
+        return next(new ErrorHandler('You have already applied for this job.', 400))
     }
 
     // Check the files
@@ -196,43 +625,193 @@ exports.applyJob = catchAsyncErrors(async (req, res, next) => {
     const file = req.files.file;
 
     // Check file type
-    const supportedFiles = /.docx|.pdf/;
-    if (!supportedFiles.test(path.extname(file.name))) {
+    const ext = path.extname(file.name).toLowerCase();
+    const supportedFiles = /^\.(docx|pdf)$/;
+    if (!supportedFiles.test(ext)) {
         return next(new ErrorHandler('Please upload document file.', 400))
     }
 
     // Check doucument size
-    if (file.size > process.env.MAX_FILE_SIZE) {
-        return next(new ErrorHandler('Please upload file less than 2MB.', 400));
+    const maxFileSize = Number(process.env.MAX_FILE_SIZE);
+    if (file.size > maxFileSize) {
+        const maxFileSizeMB = +(maxFileSize / (1024 * 1024)).toFixed(2);
+        return next(new ErrorHandler(`Please upload file less than ${maxFileSizeMB}MB.`, 400));
     }
 
-    // Renaming resume
-    file.name = `${req.user.name.replace(' ', '_')}_${job._id}${path.parse(file.name).ext}`;
+    // Verify document content and extract resume text
+    const resumeText = await parseResume(file.data, ext);
 
-    file.mv(`${process.env.UPLOAD_PATH}/${file.name}`, async err => {
-        if (err) {
-            console.log(err);
-            return next(new ErrorHandler('Resume upload failed.', 500));
-        }
+    // Storing resume with a collision free name
+    const resume = storage.generateKey(file.name);
 
-        await Job.findByIdAndUpdate(req.params.id, {
-            $push: {
-                applicantsApplied: {
-                    id: req.user.id,
-                    resume: file.name
-                }
-            }
-        }, {
-            new: true,
-            runValidators: true,
-            useFindAndModify: false
+    try {
+        await storage.save(resume, file.data, file.mimetype);
+    } catch (err) {
+        console.log(err);
+        return next(new ErrorHandler('Resume upload failed.', 500));
+    }
+
+    // Keep the posting as the candidate saw it
+    await JobVersion.record(job);
+
+    let application;
+    try {
+        application = await Application.create({
+            job: job._id,
+            jobVersion: job.version || 1,
+            user: req.user.id,
+            resume,
+            resumeName: file.name,
+            resumeText
         });
+    } catch (err) {
+        await storage.remove(resume);
+        return next(err);
+    }
 
-        res.status(200).json({
-            success: true,
-            message: 'Applied to Job successfully.',
-            data: file.name
-        })
+    res.status(200).json({
+        success: true,
+        message: 'Applied to Job successfully.',
+        data: application
+    });
+});
+
+// Get applicants of a job, search resumes with ?q=keyword  =>  /api/v1/job/:id/applicants
+exports.getJobApplicants = catchAsyncErrors(async (req, res, next) => {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+        return next(new ErrorHandler('Job not found.', 404));
+    }
+
+    // Check if the user can view applicants
+    await permissions.authorize(req.user, 'applications:view', job);
 
+    const apiFilters = new APIFilters(Application.find({ job: job._id }), req.query, querySchemas.applications)
+        .filter()
+        .sort()
+        .limitFields()
+        .searchByQuery()
+        .pagination();
+
+    const applications = await apiFilters.query.populate({
+        path: 'user',
+        select: 'name email createdAt'
+    });
+
+    res.status(200).json({
+        success: true,
+        results: applications.length,
+        pagination: await apiFilters.getPagination(applications, req),
+        data: applications
+    });
+});
+
+
+// Save a job to shortlist  =>  /api/v1/job/:id/save
+exports.saveJob = catchAsyncErrors(async (req, res, next) => {
+    const job = await Job.findById(req.params.id);
+
+    if (!job || job.status === 'draft') {
+        return next(new ErrorHandler('Job not found.', 404));
+    }
+
+    await Bookmark.updateOne(
+        { user: req.user.id, job: job._id },
+        { $setOnInsert: { user: req.user.id, job: job._id } },
+        { upsert: true }
+    );
+
+    res.status(200).json({
+        success: true,
+        message: 'Job is saved.'
+    });
+});
+
+// Remove a job from shortlist  =>  /api/v1/job/:id/save
+exports.unsaveJob = catchAsyncErrors(async (req, res, next) => {
+    const bookmark = await Bookmark.findOneAndDelete({ user: req.user.id, job: req.params.id });
+
+    if (!bookmark) {
+        return next(new ErrorHandler('Job is not saved.', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Job is removed from saved jobs.'
+    });
+});
+
+// Get saved jobs of current user  =>  /api/v1/jobs/saved
+exports.getSavedJobs = catchAsyncErrors(async (req, res, next) => {
+    const savedJobs = await Bookmark.find({ user: req.user.id }).distinct('job');
+
+    const apiFilters = new APIFilters(Job.find({ _id: { $in: savedJobs } }), req.query, querySchemas.jobs)
+        .filter()
+        .sort()
+        .limitFields()
+        .searchByQuery()
+        .pagination();
+
+    const jobs = await apiFilters.query;
+
+    res.status(200).json({
+        success: true,
+        results: jobs.length,
+        pagination: await apiFilters.getPagination(jobs, req),
+        data: await Bookmark.markSaved(jobs, req.user.id)
     });
-});
\ No newline at end of file
+});
+
+// Find company of a job and check that user can post jobs for it
+async function findPostingCompany(id, user) {
+    if (!id) {
+        throw new ErrorHandler('Please select Company for this job.', 400);
+    }
+
+    const company = await Company.findById(id);
+
+    if (!company) {
+        throw new ErrorHandler('Company not found.', 404);
+    }
+
+    await permissions.authorize(user, 'job:create', company);
+
+    return company;
+}
+
+// Salary is sent as an object like { min, max, currency, period, hidden }
+function isSalaryRange(salary) {
+    return Boolean(salary) && typeof salary === 'object' && !Array.isArray(salary);
+}
+
+// Center of a nearby search as [longitude, latitude]
+async function resolveLocation(lat, lng, zipcode) {
+    if (lat !== undefined || lng !== undefined) {
+        const latitude = typeof lat === 'string' && lat.trim() ? Number(lat) : NaN;
+        const longitude = typeof lng === 'string' && lng.trim() ? Number(lng) : NaN;
+
+        if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+            throw new ErrorHandler('Please enter valid lat and lng coordinates.', 400);
+        }
+
+        return [longitude, latitude];
+    }
+
+    if (typeof zipcode !== 'string' || !zipcode.trim()) {
+        throw new ErrorHandler('Please enter zipcode or lat and lng coordinates.', 400);
+    }
+
+    let loc;
+    try {
+        loc = await geoCoder.geocode(zipcode);
+    } catch (err) {
+        throw new ErrorHandler(`Location could not be resolved for zipcode: ${zipcode}`, 400);
+    }
+
+    if (!loc || loc.length === 0) {
+        throw new ErrorHandler(`Location not found for zipcode: ${zipcode}`, 404);
+    }
+
+    return [loc[0].longitude, loc[0].latitude];
+}
@@ -0,0 +1,164 @@
+const SavedSearch = require('../models/savedSearches');
+const catchAsyncErrors = require('../middlewares/catchAsyncErrors');
+const ErrorHandler = require('../utils/errorHandler');
+const geoCoder = require('../utils/geocoder');
+const mongoSanitize = require('express-mongo-sanitize');
+const qs = require('qs');
+const APIFilters = require('../utils/apiFilters');
+const querySchemas = require('../utils/querySchemas');
+
+const { distanceUnits } = geoCoder;
+
+// Save a job search   =>   /api/v1/search/new
+exports.newSearch = catchAsyncErrors(async (req, res, next) => {
+    const fields = await buildSearchFields(req.body);
+
+    const search = await SavedSearch.create({
+        ...fields,
+        user: req.user.id,
+        name: req.body.name,
+        frequency: req.body.frequency
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Search is saved.',
+        data: search
+    });
+});
+
+// Get saved searches of current user   =>   /api/v1/searches
+exports.getSearches = catchAsyncErrors(async (req, res, next) => {
+    const searches = await SavedSearch.find({ user: req.user.id }).sort('-createdAt');
+
+    res.status(200).json({
+        success: true,
+        results: searches.length,
+        data: searches
+    });
+});
+
+// Update a saved search   =>   /api/v1/search/:id
+exports.updateSearch = catchAsyncErrors(async (req, res, next) => {
+    let search = await SavedSearch.findById(req.params.id);
+
+    if (!search) {
+        return next(new ErrorHandler('Saved search not found.', 404));
+    }
+
+    if (search.user.toString() !== req.user.id) {
+        return next(new ErrorHandler(`User(${req.user.id}) is not allowed to update this search.`, 403));
+    }
+
+    const fields = await buildSearchFields({
+        query: search.query,
+        zipcode: search.zipcode,
+        distance: search.distance,
+        unit: search.unit,
+        ...req.body
+    });
+
+    search.set(fields);
+
+    ['name', 'frequency', 'alerts'].forEach(field => {
+        if (req.body[field] !== undefined) search[field] = req.body[field];
+    });
+
+    await search.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Search is updated.',
+        data: search
+    });
+});
+
+// Delete a saved search   =>   /api/v1/search/:id
+exports.deleteSearch = catchAsyncErrors(async (req, res, next) => {
+    const search = await SavedSearch.findById(req.params.id);
+
+    if (!search) {
+        return next(new ErrorHandler('Saved search not found.', 404));
+    }
+
+    if (search.user.toString() !== req.user.id) {
+        return next(new ErrorHandler(`User(${req.user.id}) is not allowed to delete this search.`, 403));
+    }
+
+    await search.remove();
+
+    res.status(200).json({
+        success: true,
+        message: 'Search is deleted.'
+    });
+});
+
+// Stop alert emails of a saved search   =>   /api/v1/search/unsubscribe/:token
+exports.unsubscribeSearch = catchAsyncErrors(async (req, res, next) => {
+    const search = await SavedSearch.findOneAndUpdate(
+        { unsubscribeToken: req.params.token },
+        { alerts: false },
+        { new: true, useFindAndModify: false }
+    );
+
+    if (!search) {
+        return next(new ErrorHandler('Unsubscribe link is invalid.', 400));
+    }
+
+    res.status(200).json({
+        success: true,
+        message: `You will no longer receive alerts for "${search.name}".`
+    });
+});
+
+// Validate search query and resolve its location
+async function buildSearchFields({ query = '', zipcode, distance, unit = 'mi' }) {
+    const params = qs.parse(String(query).replace(/^\?/, ''));
+
+    if (mongoSanitize.has(params)) {
+        throw new ErrorHandler('Search query contains prohibited characters.', 400);
+    }
+
+    // Same parameters as /api/v1/jobs, pagination is not used by alerts
+    const errors = APIFilters.validate(params, querySchemas.jobs);
+    if (errors.length > 0) {
+        throw new ErrorHandler(`Invalid search query parameters: ${errors.join(', ')}`, 400);
+    }
+
+    // Encoded so values with &, + or = are read back the same
+    const fields = {
+        query: qs.stringify(params),
+        zipcode: undefined,
+        distance: undefined,
+        unit: undefined,
+        location: undefined
+    };
+
+    if (!zipcode && !distance) {
+        return fields;
+    }
+
+    if (!zipcode || !distance) {
+        throw new ErrorHandler('Please enter both zipcode and distance.', 400);
+    }
+
+    if (!Object.keys(distanceUnits).includes(unit)) {
+        throw new ErrorHandler('Please select unit mi or km.', 400);
+    }
+
+    const loc = await geoCoder.geocode(zipcode);
+
+    if (!loc || loc.length === 0) {
+        throw new ErrorHandler(`Location not found for zipcode: ${zipcode}`, 400);
+    }
+
+    fields.zipcode = zipcode;
+    fields.distance = distance;
+    fields.unit = unit;
+    fields.location = {
+        type: 'Point',
+        coordinates: [loc[0].longitude, loc[0].latitude]
+    };
+
+    return fields;
+}
@@ -1,10 +1,22 @@
 const User = require('../models/users');
 const Job = require('../models/jobs');
+const Application = require('../models/applications');
+const Session = require('../models/sessions');
+const Setting = require('../models/settings');
+const DataExport = require('../models/dataExports');
 const catchAsyncErrors = require('../middlewares/catchAsyncErrors');
 const ErrorHandler = require('../utils/errorHandler');
 const sendToken = require('../utils/jwtToken');
-const fs = require('fs');
+const sendVerificationEmail = require('../utils/sendVerificationEmail');
+const sendEmail = require('../utils/sendEmail');
+const auditLog = require('../utils/auditLog');
 const APIFilters = require('../utils/apiFilters');
+const querySchemas = require('../utils/querySchemas');
+const permissions = require('../utils/permissions');
+const softDelete = require('../utils/softDelete');
+const storage = require('../utils/storage');
+const { processDataExports } = require('../workers/dataExports');
+const { PRIVILEGED_ROLES } = require('../middlewares/auth');
 
 // Get current user profile   =>    /api/v1/me
 exports.getUserProfile = catchAsyncErrors( async(req, res, next) => {
@@ -34,7 +46,12 @@ exports.updatePassword = catchAsyncErrors( async(req, res, next) => {
     user.password = req.body.newPassword;
     await user.save();
 
-    sendToken(user, 200, res);
+    // Sign out from all devices and start a new session
+    await Session.revokeAll(user._id);
+
+    await auditLog(req, 'user.password.update', user);
+
+    await sendToken(user, 200, res);
 });
 
 // Update current user data   =>    /api/v1/me/update
@@ -44,64 +61,305 @@ exports.updateUser = catchAsyncErrors( async(req, res, next) => {
         email : req.body.email
     }
 
+    // New email address has to be verified again
+    const emailChanged = req.body.email && req.body.email !== req.user.email;
+    if(emailChanged) {
+        newUserData.emailVerified = false;
+    }
+
     const user = await User.findByIdAndUpdate(req.user.id, newUserData, {
         new : true,
         runValidators : true,
         useFindAndModify : false
     });
 
+    if(emailChanged) {
+        try {
+            await sendVerificationEmail(user, req);
+        } catch (error) {
+            console.log(`Verification email is not sent to ${user.email}: ${error.message}`);
+        }
+    }
+
+    await auditLog(req, 'user.update', user, auditLog.diff(req.user, user, ['name', 'email']));
+
     res.status(200).json({
         success : true,
         data : user
     });
 });
 
-// Show all applied jobs   =>   /api/v1/jobs/applied
+// Show all applied jobs with application status   =>   /api/v1/jobs/applied
 exports.getAppliedJobs = catchAsyncErrors( async (req, res, next) => {
 
-    const jobs = await Job.find({'applicantsApplied.id' : req.user.id}).select('+applicantsApplied');
+    const applications = await Application.find({user : req.user.id})
+        .select('-statusHistory')
+        .populate({
+            path : 'job',
+            select : 'title slug company companyName lastDate'
+        })
+        .sort('-appliedAt');
 
     res.status(200).json({
         success : true,
-        results : jobs.length,
-        data : jobs
+        results : applications.length,
+        data : applications
     })
 });
 
-// Show all jobs published by employeer   =>   /api/v1/jobs/published
+// Show all jobs published by employeer and their company teams   =>   /api/v1/jobs/published
 exports.getPublishedJobs = catchAsyncErrors( async (req, res, next) => {
-    const jobs = await Job.find({user : req.user.id});
+    const companies = await permissions.getUserCompanies(req.user);
+
+    const jobs = await Job.find({
+        $or : [
+            {user : req.user.id},
+            {company : {$in : companies}}
+        ]
+    });
 
     res.status(200).json({
         success : true,
         results : jobs.length,
-        data : jobs
+        // Team can see hidden salaries of its jobs
+        data : jobs.map(job => job.toObject())
     })
 });
 
 // Delete current user   =>    /api/v1/me/delete
 exports.deleteUser = catchAsyncErrors( async(req, res, next) => {
+    const user = await User.findById(req.user.id);
+
+    await deleteAccount(user, req.user.id);
+
+    await auditLog(req, 'user.delete', user, { email : user.email, role : user.role });
+
+    sendToken.clearToken(res);
+
+    res.status(200).json({
+        success : true,
+        message : `Your account has been deleted. It can be restored by support within ${softDelete.retentionDays()} days.`
+    })
+});
+
+// Request a copy of current user data   =>   /api/v1/me/export
+exports.requestDataExport = catchAsyncErrors( async (req, res, next) => {
+    const inProgress = await DataExport.exists({
+        user : req.user.id,
+        status : {$in : ['pending', 'processing']}
+    });
+
+    if(inProgress) {
+        return next(new ErrorHandler('Your data export is already being prepared.', 400));
+    }
+
+    const dataExport = await DataExport.create({ user : req.user.id });
+
+    await auditLog(req, 'user.export.request', dataExport);
+
+    // Archive is created in background, user gets an email when it is ready
+    processDataExports().catch(err => console.log(`Data exports failed: ${err.message}`));
+
+    res.status(202).json({
+        success : true,
+        message : 'Your data export is being prepared. We will email you when it is ready.',
+        data : dataExport
+    });
+});
 
-    deleteUserData(req.user.id, req.user.role);
-    
-    const user = await User.findByIdAndDelete(req.user.id);
+// Get status of latest data export   =>   /api/v1/me/export
+exports.getDataExport = catchAsyncErrors( async (req, res, next) => {
+    const dataExport = await DataExport.findOne({ user : req.user.id }).sort('-requestedAt');
 
-    res.cookie('token', 'none', {
-        expires : new Date(Date.now()),
-        httpOnly : true
+    if(!dataExport) {
+        return next(new ErrorHandler('No data export is requested.', 404));
+    }
+
+    res.status(200).json({
+        success : true,
+        data : dataExport
     });
+});
+
+// Download latest data export   =>   /api/v1/me/export/download
+exports.downloadDataExport = catchAsyncErrors( async (req, res, next) => {
+    const dataExport = await DataExport.findOne({
+        user : req.user.id,
+        status : 'ready',
+        expiresAt : {$gt : Date.now()}
+    }).select('+file').sort('-requestedAt');
+
+    if(!dataExport) {
+        return next(new ErrorHandler('No data export is ready for download.', 404));
+    }
+
+    await auditLog(req, 'user.export.download', dataExport);
+
+    res.attachment(`jobbee-data-${dataExport.completedAt.toISOString().slice(0, 10)}.zip`);
+
+    storage.createReadStream(dataExport.file)
+        .on('error', err => next(err))
+        .pipe(res);
+});
+
+// Show active sessions of current user   =>   /api/v1/me/sessions
+exports.getSessions = catchAsyncErrors( async (req, res, next) => {
+    const sessions = await Session.find({
+        user : req.user.id,
+        revokedAt : null,
+        expiresAt : {$gt : Date.now()}
+    }).sort('-lastUsedAt');
 
     res.status(200).json({
         success : true,
-        message : 'Your account has been deleted.'
+        results : sessions.length,
+        data : sessions.map(session => ({
+            ...session.toJSON(),
+            current : session._id.equals(req.authSession._id)
+        }))
     })
 });
 
+// Revoke a session of current user   =>   /api/v1/me/sessions/:id
+exports.revokeSession = catchAsyncErrors( async (req, res, next) => {
+    const session = await Session.findOne({_id : req.params.id, user : req.user.id, revokedAt : null});
+
+    if(!session) {
+        return next(new ErrorHandler(`Session not found with id: ${req.params.id}`, 404));
+    }
+
+    session.revokedAt = Date.now();
+    await session.save();
+
+    await auditLog(req, 'user.session.revoke', session);
+
+    res.status(200).json({
+        success : true,
+        message : 'Session is revoked.'
+    });
+});
+
+// Revoke all other sessions of current user   =>   /api/v1/me/sessions
+exports.revokeOtherSessions = catchAsyncErrors( async (req, res, next) => {
+    await Session.revokeAll(req.user.id, req.authSession._id);
+
+    await auditLog(req, 'user.session.revoke.others', req.user);
+
+    res.status(200).json({
+        success : true,
+        message : 'All other sessions are revoked.'
+    });
+});
+
+// Start two factor authentication setup   =>   /api/v1/me/2fa/setup
+exports.setupTwoFactor = catchAsyncErrors( async (req, res, next) => {
+    const user = await User.findById(req.user.id);
+
+    if(user.twoFactorEnabled) {
+        return next(new ErrorHandler('Two factor authentication is already enabled.', 400));
+    }
+
+    const { secret, uri } = user.getTwoFactorSetup();
+    await user.save({ validateBeforeSave : false });
+
+    res.status(200).json({
+        success : true,
+        message : 'Add this account to your authenticator app, then confirm it with a code.',
+        data : { secret, uri }
+    });
+});
+
+// Confirm two factor authentication setup   =>   /api/v1/me/2fa/confirm
+exports.confirmTwoFactor = catchAsyncErrors( async (req, res, next) => {
+    const user = await User.findById(req.user.id).select('+twoFactorSecret +twoFactorLastStep');
+
+    if(user.twoFactorEnabled) {
+        return next(new ErrorHandler('Two factor authentication is already enabled.', 400));
+    }
+
+    if(!user.verifyTwoFactorCode(req.body.code)) {
+        return next(new ErrorHandler('Invalid authentication code.', 400));
+    }
+
+    user.twoFactorEnabled = true;
+    const recoveryCodes = user.generateRecoveryCodes();
+
+    await user.save({ validateBeforeSave : false });
+
+    await auditLog(req, 'user.2fa.enable', user);
+
+    res.status(200).json({
+        success : true,
+        message : 'Two factor authentication is enabled. Keep your recovery codes in a safe place.',
+        data : { recoveryCodes }
+    });
+});
+
+// Generate new recovery codes   =>   /api/v1/me/2fa/recovery
+exports.regenerateRecoveryCodes = catchAsyncErrors( async (req, res, next) => {
+    const user = await User.findById(req.user.id).select('+twoFactorSecret +twoFactorLastStep');
+
+    if(!user.twoFactorEnabled) {
+        return next(new ErrorHandler('Two factor authentication is not enabled.', 400));
+    }
+
+    if(!user.verifyTwoFactorCode(req.body.code)) {
+        return next(new ErrorHandler('Invalid authentication code.', 400));
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave : false });
+
+    await auditLog(req, 'user.2fa.recovery.regenerate', user);
+
+    res.status(200).json({
+        success : true,
+        data : { recoveryCodes }
+    });
+});
+
+// Disable two factor authentication   =>   /api/v1/me/2fa
+exports.disableTwoFactor = catchAsyncErrors( async (req, res, next) => {
+    const user = await User.findById(req.user.id)
+        .select('+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep');
+
+    if(!user.twoFactorEnabled) {
+        return next(new ErrorHandler('Two factor authentication is not enabled.', 400));
+    }
+
+    if(PRIVILEGED_ROLES.includes(user.role) && await Setting.getValue('twoFactorRequired', false)) {
+        return next(new ErrorHandler(`Two factor authentication is required for role(${user.role}).`, 400));
+    }
+
+    const isPasswordMatched = await user.comparePassword(req.body.password || '');
+    if(!isPasswordMatched) {
+        return next(new ErrorHandler('Password is incorrect.', 401));
+    }
+
+    if(!user.verifyTwoFactorCode(req.body.code) && !user.useRecoveryCode(req.body.recoveryCode)) {
+        return next(new ErrorHandler('Invalid authentication code.', 401));
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastStep = undefined;
+
+    await user.save({ validateBeforeSave : false });
+
+    await auditLog(req, 'user.2fa.disable', user);
+
+    res.status(200).json({
+        success : true,
+        message : 'Two factor authentication is disabled.'
+    });
+});
+
 // Adding controller methods that only accessible by admins
 
 // Show all users  =>   /api/v1/users
 exports.getUsers = catchAsyncErrors( async (req, res, next) => {
-    const apiFilters = new APIFilters(User.find(), req.query)
+    const apiFilters = new APIFilters(User.find(), req.query, querySchemas.users)
         .filter()
         .sort()
         .limitFields()
@@ -112,10 +370,151 @@ exports.getUsers = catchAsyncErrors( async (req, res, next) => {
     res.status(200).json({
         success : true,
         results : users.length,
+        pagination : await apiFilters.getPagination(users, req),
         data : users
     })
 });
 
+// Get single user(Admin)   =>   /api/v1/user/:id
+exports.getUser = catchAsyncErrors( async (req, res, next) => {
+    const user = await User.findById(req.params.id)
+        .populate({
+            path : 'jobsPublished',
+            select : 'title postingDate'
+        });
+
+    if(!user) {
+        return next(new ErrorHandler(`User not found with id: ${req.params.id}`, 404));
+    }
+
+    res.status(200).json({
+        success : true,
+        data : user
+    });
+});
+
+// Change role of user(Admin)   =>   /api/v1/user/:id/role
+exports.updateUserRole = catchAsyncErrors( async (req, res, next) => {
+    const user = await User.findById(req.params.id);
+
+    if(!user) {
+        return next(new ErrorHandler(`User not found with id: ${req.params.id}`, 404));
+    }
+
+    if(user.id === req.user.id) {
+        return next(new ErrorHandler('You can not change your own role.', 400));
+    }
+
+    const previousRole = user.role;
+    user.role = req.body.role;
+    await user.save();
+
+    await auditLog(req, 'admin.user.role.update', user, { role : { from : previousRole, to : user.role } });
+
+    res.status(200).json({
+        success : true,
+        message : `Role of user is changed to ${user.role}.`,
+        data : user
+    });
+});
+
+// Suspend user account(Admin)   =>   /api/v1/user/:id/suspend
+exports.suspendUser = catchAsyncErrors( async (req, res, next) => {
+    const user = await User.findById(req.params.id);
+
+    if(!user) {
+        return next(new ErrorHandler(`User not found with id: ${req.params.id}`, 404));
+    }
+
+    if(user.id === req.user.id) {
+        return next(new ErrorHandler('You can not suspend your own account.', 400));
+    }
+
+    user.suspended = true;
+    user.suspendedAt = Date.now();
+    user.suspendedReason = req.body.reason;
+    await user.save({ validateBeforeSave : false });
+
+    // Sign out suspended user from all devices
+    await Session.revokeAll(user._id);
+
+    await auditLog(req, 'admin.user.suspend', user, { reason : req.body.reason });
+
+    res.status(200).json({
+        success : true,
+        message : 'User is suspended.',
+        data : user
+    });
+});
+
+// Unsuspend user account(Admin)   =>   /api/v1/user/:id/unsuspend
+exports.unsuspendUser = catchAsyncErrors( async (req, res, next) => {
+    const user = await User.findById(req.params.id);
+
+    if(!user) {
+        return next(new ErrorHandler(`User not found with id: ${req.params.id}`, 404));
+    }
+
+    user.suspended = false;
+    user.suspendedAt = undefined;
+    user.suspendedReason = undefined;
+    await user.save({ validateBeforeSave : false });
+
+    await auditLog(req, 'admin.user.unsuspend', user);
+
+    res.status(200).json({
+        success : true,
+        message : 'User is unsuspended.',
+        data : user
+    });
+});
+
+// Send password reset email to user(Admin)   =>   /api/v1/user/:id/password/reset
+exports.resetUserPassword = catchAsyncErrors( async (req, res, next) => {
+    const user = await User.findById(req.params.id);
+
+    if(!user) {
+        return next(new ErrorHandler(`User not found with id: ${req.params.id}`, 404));
+    }
+
+    // Get reset token, old password can not be used to login anymore
+    const resetToken = user.getResetPasswordToken();
+    user.passwordResetRequired = true;
+
+    await user.save({ validateBeforeSave : false });
+
+    // Create reset password url
+    const resetUrl = `${req.protocol}://${req.get('host')}/api/v1/password/reset/${resetToken}`;
+
+    const message = `An administrator has reset the password of your Jobbee account. Please choose a new password with this link:\n\n${resetUrl}`
+
+    try {
+        await sendEmail({
+            email : user.email,
+            subject : 'Jobbee-API Password Reset',
+            message
+        });
+    } catch (error) {
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        user.passwordResetRequired = false;
+
+        await user.save({ validateBeforeSave : false });
+
+        return next(new ErrorHandler('Email is not sent.', 500));
+    }
+
+    // Sign out from all devices
+    await Session.revokeAll(user._id);
+
+    await auditLog(req, 'admin.user.password.reset', user);
+
+    res.status(200).json({
+        success : true,
+        message : `Password reset email sent successfully to: ${user.email}`
+    });
+});
+
 // Delete User(Admin)   =>   /api/v1/user/:id
 exports.deleteUserAdmin = catchAsyncErrors( async (req, res, next) => {
     const user = await User.findById(req.params.id);
@@ -124,37 +523,85 @@ exports.deleteUserAdmin = catchAsyncErrors( async (req, res, next) => {
         return next(new ErrorHandler(`User not found with id: ${req.params.id}`, 404));
     }
 
-    deleteUserData(user.id, user.role);
-    await user.remove();
+    await deleteAccount(user, req.user.id);
+
+    await auditLog(req, 'admin.user.delete', user, { email : user.email, role : user.role });
 
     res.status(200).json({
         success : true,
-        message : 'User is deleted by Admin.'
+        message : `User is deleted by Admin. It can be restored within ${softDelete.retentionDays()} days.`
     });
-
 });
 
-// Delete user files and employeer jobs
-async function deleteUserData(user, role) {
-    if(role === 'employeer') {
-        await Job.deleteMany({user : user});
+// Restore deleted User(Admin)   =>   /api/v1/user/:id/restore
+exports.restoreUser = catchAsyncErrors( async (req, res, next) => {
+    const user = await User.findOne({_id : req.params.id, deletedAt : {$ne : null}}).withDeleted();
+
+    if(!user) {
+        return next(new ErrorHandler(`Deleted user not found with id: ${req.params.id}`, 404));
     }
 
-    if(role === 'user') {
-        const appliedJobs = await Job.find({'applicantsApplied.id' : user}).select('+applicantsApplied');
+    // Jobs hidden together with the account
+    await Job.updateMany(
+        {user : user._id, deletedAt : user.deletedAt},
+        {deletedAt : null, $unset : {deletedBy : 1}}
+    );
 
-        for(let i=0; i<appliedJobs.length; i++) {
-            let obj = appliedJobs[i].applicantsApplied.find(o => o.id === user);
+    await user.restore();
 
-            let filepath = `${__dirname}/public/uploads/${obj.resume}`.replace('\\controllers', '');
+    await auditLog(req, 'admin.user.restore', user);
 
-            fs.unlink(filepath, err => {
-                if(err) return console.log(err);
-            });
+    res.status(200).json({
+        success : true,
+        message : 'User is restored.',
+        data : user
+    });
+});
 
-            appliedJobs[i].applicantsApplied.splice(appliedJobs[i].applicantsApplied.indexOf(obj.id));
+// Get two factor authentication policy(Admin)   =>   /api/v1/settings/2fa
+exports.getTwoFactorPolicy = catchAsyncErrors( async (req, res, next) => {
+    const required = await Setting.getValue('twoFactorRequired', false);
 
-            await appliedJobs[i].save();
+    res.status(200).json({
+        success : true,
+        data : {
+            required,
+            roles : PRIVILEGED_ROLES
         }
+    });
+});
+
+// Require two factor authentication for privileged roles(Admin)   =>   /api/v1/settings/2fa
+exports.updateTwoFactorPolicy = catchAsyncErrors( async (req, res, next) => {
+    const required = req.body.required === true || req.body.required === 'true';
+
+    await Setting.setValue('twoFactorRequired', required, req.user.id);
+
+    await auditLog(req, 'admin.settings.2fa.update', null, { required });
+
+    res.status(200).json({
+        success : true,
+        message : required ?
+            `Two factor authentication is now required for roles: ${PRIVILEGED_ROLES.join(', ')}.` :
+            'Two factor authentication is now optional.',
+        data : {
+            required,
+            roles : PRIVILEGED_ROLES
+        }
+    });
+});
+
+// Soft delete account, employeer jobs posted without company are hidden with it
+async function deleteAccount(user, actor) {
+    await user.softDelete(actor);
+
+    if(user.role === 'employeer') {
+        await Job.updateMany(
+            {user : user._id, company : {$exists : false}, deletedAt : null},
+            {deletedAt : user.deletedAt, deletedBy : actor}
+        );
     }
-}
\ No newline at end of file
+
+    // Sign out deleted user from all devices
+    await Session.revokeAll(user._id);
+}
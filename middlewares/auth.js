@@ -1,22 +1,113 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/users');
+const Session = require('../models/sessions');
+const Setting = require('../models/settings');
 const catchAsyncErrors = require('../middlewares/catchAsyncErrors');
 const ErrorHandler = require('../utils/errorHandler');
+const { verifyCsrfToken } = require('../utils/jwtToken');
 
-// Check if the user is authenticated or not
-exports.isAuthenticatedUser = catchAsyncErrors( async (req, res, next) => {
-    let token;
+// Requests that do not change anything, no CSRF token needed
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Roles that admins can force to use two factor authentication
+const PRIVILEGED_ROLES = ['employeer', 'admin'];
 
+// Routes left open to privileged users until they enable two factor authentication
+const TWO_FACTOR_SETUP_ROUTES = ['/api/v1/me', '/api/v1/me/2fa/setup', '/api/v1/me/2fa/confirm', '/api/v1/logout'];
+
+// Get token from authorization header or from cookie
+const getToken = req => {
     if(req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-        token = req.headers.authorization.split(' ')[1];
+        return { token : req.headers.authorization.split(' ')[1], fromCookie : false };
+    }
+
+    if(req.cookies && req.cookies.token && req.cookies.token !== 'none') {
+        return { token : req.cookies.token, fromCookie : true };
     }
 
+    return {};
+}
+
+// Verify token and find its active session
+const findSession = async token => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if(!decoded.sid) return null;
+
+    const session = await Session.findById(decoded.sid);
+
+    if(!session || !session.isActive() || session.user.toString() !== decoded.id) {
+        return null;
+    }
+
+    // Keep last used time of session without writing on every request
+    if(Date.now() - session.lastUsedAt > 60*1000) {
+        await Session.updateOne({ _id : session._id }, { lastUsedAt : Date.now() });
+    }
+
+    return session;
+}
+
+// Check if the user is authenticated or not
+exports.isAuthenticatedUser = catchAsyncErrors( async (req, res, next) => {
+    const { token, fromCookie } = getToken(req);
+
     if(!token) {
         return next(new ErrorHandler('Login first to access this resource.', 401));
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id);
+    const session = await findSession(token);
+
+    if(!session) {
+        return next(new ErrorHandler('Session has expired or was revoked. Login again.', 401));
+    }
+
+    // Browsers send cookies on their own, so cookie requests must prove they come from our client
+    if(fromCookie && !SAFE_METHODS.includes(req.method) && !verifyCsrfToken(session._id, req.get('x-csrf-token'))) {
+        return next(new ErrorHandler('Invalid CSRF token.', 403));
+    }
+
+    const user = await User.findById(session.user);
+
+    if(!user) {
+        return next(new ErrorHandler('User of this token no longer exists.', 401));
+    }
+
+    if(user.suspended) {
+        return next(new ErrorHandler('Your account is suspended. Please contact support.', 403));
+    }
+
+    // Check two factor authentication policy for privileged roles
+    if(PRIVILEGED_ROLES.includes(user.role) && !user.twoFactorEnabled &&
+        !TWO_FACTOR_SETUP_ROUTES.includes(req.originalUrl.split('?')[0]) &&
+        await Setting.getValue('twoFactorRequired', false)) {
+        return next(new ErrorHandler('Two factor authentication is required for your role. Enable it at /api/v1/me/2fa/setup.', 403));
+    }
+
+    req.authSession = session;
+    req.user = user;
+
+    next();
+});
+
+// Load the user if a valid token is sent, public routes stay accessible without it
+exports.identifyUser = catchAsyncErrors( async (req, res, next) => {
+    const { token } = getToken(req);
+
+    if(token) {
+        try {
+            const session = await findSession(token);
+
+            const user = session && await User.findById(session.user);
+
+            if(user && !user.suspended) {
+                req.authSession = session;
+                req.user = user;
+            }
+        } catch (err) {
+            req.user = undefined;
+        }
+    }
 
     next();
 });
@@ -30,4 +121,15 @@ exports.authorizeRoles = (...roles) => {
         }
         next();
     }
-}
\ No newline at end of file
+}
+
+
+// Posting and applying need a verified email address
+exports.isEmailVerified = (req, res, next) => {
+    if(!req.user.emailVerified) {
+        return next(new ErrorHandler('Please verify your email address first.', 403));
+    }
+    next();
+}
+
+exports.PRIVILEGED_ROLES = PRIVILEGED_ROLES;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const rateLimit = require('express-rate-limit');
+const ErrorHandler = require('../utils/errorHandler');
+
+// Create rate limiter answering with the api error format
+const createLimiter = (windowMinutes, max, message) => rateLimit({
+    windowMs : windowMinutes*60*1000,
+    max,
+    handler : (req, res, next) => {
+        next(new ErrorHandler(message, 429));
+    }
+});
+
+// Stricter limits for password recovery than the global limiter
+exports.forgotPasswordLimiter = createLimiter(
+    Number(process.env.FORGOT_PASSWORD_WINDOW) || 60,
+    Number(process.env.FORGOT_PASSWORD_MAX) || 5,
+    'Too many password recovery requests. Please try again later.'
+);
+
+exports.resetPasswordLimiter = createLimiter(
+    Number(process.env.RESET_PASSWORD_WINDOW) || 60,
+    Number(process.env.RESET_PASSWORD_MAX) || 10,
+    'Too many password reset attempts. Please try again later.'
+);
@@ -0,0 +1,89 @@
+// Move applicants stored inside jobs to Application documents and their resumes to private storage
+//   =>   npm run migrate:applications
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const fs = require('fs');
+const path = require('path');
+
+dotenv.config({path : './config/config.env'});
+
+const connectDatabase = require('../config/database');
+const Application = require('../models/applications');
+const storage = require('../utils/storage');
+const parseResume = require('../utils/resumeParser');
+
+// Old resumes were uploaded to the public folder
+const uploadPath = process.env.UPLOAD_PATH || './public/uploads';
+
+const contentTypes = {
+    '.pdf' : 'application/pdf',
+    '.docx' : 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// Copy an old resume to storage, missing files keep their old name
+const moveResume = async filename => {
+    const ext = path.extname(filename).toLowerCase();
+    let data;
+
+    try {
+        data = await fs.promises.readFile(path.join(uploadPath, path.basename(filename)));
+    } catch (err) {
+        console.log(`Resume(${filename}) is not found in ${uploadPath}.`);
+        return { resume : filename };
+    }
+
+    const resume = storage.generateKey(filename);
+    await storage.save(resume, data, contentTypes[ext]);
+
+    let resumeText;
+    try {
+        resumeText = await parseResume(data, ext);
+    } catch (err) {
+        console.log(`Resume(${filename}) text is not extracted: ${err.message}`);
+    }
+
+    return { resume, resumeText };
+}
+
+const migrateApplications = async () => {
+    const jobs = mongoose.connection.collection('jobs');
+    const cursor = jobs.find({ applicantsApplied : { $exists : true } });
+
+    let migrated = 0;
+
+    while(await cursor.hasNext()) {
+        const job = await cursor.next();
+        const applicants = job.applicantsApplied || [];
+
+        for(let i=0; i<applicants.length; i++) {
+            const { id, resume } = applicants[i];
+
+            if(!id || !resume || await Application.exists({ job : job._id, user : id })) continue;
+
+            // Applying date was not stored, applications are dated by the migration
+            await Application.create({
+                job : job._id,
+                user : id,
+                resumeName : resume,
+                ...(await moveResume(resume))
+            });
+
+            migrated++;
+        }
+
+        await jobs.updateOne({ _id : job._id }, { $unset : { applicantsApplied : '' } });
+    }
+
+    console.log(`Migrated ${migrated} applications.`);
+}
+
+connectDatabase();
+
+mongoose.connection.once('open', () => {
+    migrateApplications()
+        .then(() => process.exit(0))
+        .catch(err => {
+            console.log(`ERROR: ${err.message}`);
+            process.exit(1);
+        });
+});
@@ -0,0 +1,59 @@
+// Move free text company names of jobs to Company documents
+//   =>   npm run migrate:companies
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config({path : './config/config.env'});
+
+const connectDatabase = require('../config/database');
+const Company = require('../models/companies');
+
+const migrateCompanies = async () => {
+    const jobs = mongoose.connection.collection('jobs');
+    const cursor = jobs.find({ company : { $type : 'string' } });
+
+    let migrated = 0;
+    const companies = {};
+
+    while(await cursor.hasNext()) {
+        const job = await cursor.next();
+        const slug = Company.createSlug(job.company);
+
+        // Jobs of "Acme", "ACME Inc." and "acme" end up in one company
+        let company = companies[slug] || await Company.findOne({ slug });
+
+        if(!company) {
+            company = await Company.create({
+                name : job.company.trim(),
+                members : [{ user : job.user, role : 'owner' }]
+            });
+        } else if(!company.getMemberRole(job.user)) {
+            company.members.push({ user : job.user, role : 'owner' });
+            await company.save();
+        }
+
+        companies[slug] = company;
+
+        await jobs.updateOne({ _id : job._id }, {
+            $set : {
+                company : company._id,
+                companyName : company.name
+            }
+        });
+
+        migrated++;
+    }
+
+    console.log(`Migrated ${migrated} jobs into ${Object.keys(companies).length} companies.`);
+}
+
+connectDatabase();
+
+mongoose.connection.once('open', () => {
+    migrateCompanies()
+        .then(() => process.exit(0))
+        .catch(err => {
+            console.log(`ERROR: ${err.message}`);
+            process.exit(1);
+        });
+});
@@ -0,0 +1,31 @@
+// Mark accounts created before email verification existed as verified
+//   =>   npm run migrate:email-verified
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config({path : './config/config.env'});
+
+const connectDatabase = require('../config/database');
+
+const migrateEmailVerified = async () => {
+    const users = mongoose.connection.collection('users');
+
+    // New accounts always get the field on registration
+    const result = await users.updateMany(
+        { emailVerified : { $exists : false } },
+        { $set : { emailVerified : true } }
+    );
+
+    console.log(`Marked ${result.modifiedCount} existing accounts as verified.`);
+}
+
+connectDatabase();
+
+mongoose.connection.once('open', () => {
+    migrateEmailVerified()
+        .then(() => process.exit(0))
+        .catch(err => {
+            console.log(`ERROR: ${err.message}`);
+            process.exit(1);
+        });
+});
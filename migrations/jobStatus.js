@@ -0,0 +1,36 @@
+// Set status of jobs created before job statuses existed
+//   =>   npm run migrate:job-status
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config({path : './config/config.env'});
+
+const connectDatabase = require('../config/database');
+
+const migrateJobStatus = async () => {
+    const jobs = mongoose.connection.collection('jobs');
+    const now = new Date();
+
+    const expired = await jobs.updateMany(
+        { status : { $exists : false }, lastDate : { $lt : now } },
+        { $set : { status : 'expired' } }
+    );
+
+    const published = await jobs.updateMany(
+        { status : { $exists : false } },
+        { $set : { status : 'published' } }
+    );
+
+    console.log(`Migrated ${published.modifiedCount} published and ${expired.modifiedCount} expired jobs.`);
+}
+
+connectDatabase();
+
+mongoose.connection.once('open', () => {
+    migrateJobStatus()
+        .then(() => process.exit(0))
+        .catch(err => {
+            console.log(`ERROR: ${err.message}`);
+            process.exit(1);
+        });
+});
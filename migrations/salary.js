@@ -0,0 +1,52 @@
+// Convert single number salaries of jobs to salary ranges
+//   =>   npm run migrate:salary -- USD
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config({path : './config/config.env'});
+
+const connectDatabase = require('../config/database');
+const Job = require('../models/jobs');
+
+// Old salaries were yearly amounts without currency
+const currency = (process.argv[2] || 'USD').toUpperCase();
+
+const migrateSalary = async () => {
+    const jobs = mongoose.connection.collection('jobs');
+    const cursor = jobs.find({ salary : { $type : 'number' } });
+
+    let migrated = 0;
+
+    while(await cursor.hasNext()) {
+        const job = await cursor.next();
+        const salary = {
+            min : job.salary,
+            max : job.salary,
+            currency,
+            period : 'year',
+            hidden : false
+        };
+
+        await jobs.updateOne({ _id : job._id }, {
+            $set : {
+                salary,
+                annualSalary : Job.getAnnualSalary(salary)
+            }
+        });
+
+        migrated++;
+    }
+
+    console.log(`Migrated salaries of ${migrated} jobs to ${currency} ranges.`);
+}
+
+connectDatabase();
+
+mongoose.connection.once('open', () => {
+    migrateSalary()
+        .then(() => process.exit(0))
+        .catch(err => {
+            console.log(`ERROR: ${err.message}`);
+            process.exit(1);
+        });
+});
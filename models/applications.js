@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const storage = require('../utils/storage');
+
+// Allowed moves through the hiring pipeline
+const statusTransitions = {
+    applied : ['screening', 'rejected', 'withdrawn'],
+    screening : ['interview', 'rejected', 'withdrawn'],
+    interview : ['offered', 'rejected', 'withdrawn'],
+    offered : ['hired', 'rejected', 'withdrawn'],
+    hired : [],
+    rejected : [],
+    withdrawn : []
+};
+
+const applicationSchema = new mongoose.Schema({
+    job : {
+        type : mongoose.Schema.ObjectId,
+        ref : 'Job',
+        required : true
+    },
+    user : {
+        type : mongoose.Schema.ObjectId,
+        ref : 'User',
+        required : true
+    },
+    // Version of the job posting at the time of applying
+    jobVersion : Number,
+    resume : {
+        type : String,
+        required : [true, 'Please upload your resume.']
+    },
+    resumeName : String,
+    resumeText : {
+        type : String,
+        select : false
+    },
+    status : {
+        type : String,
+        enum : {
+            values : Object.keys(statusTransitions),
+            message : 'Please select correct status for application.'
+        },
+        default : 'applied'
+    },
+    statusHistory : [{
+        status : String,
+        note : String,
+        changedBy : {
+            type : mongoose.Schema.ObjectId,
+            ref : 'User'
+        },
+        changedAt : {
+            type : Date,
+            default : Date.now
+        }
+    }],
+    appliedAt : {
+        type : Date,
+        default : Date.now
+    }
+});
+
+// One application per user for each job
+applicationSchema.index({ job : 1, user : 1 }, { unique : true });
+
+// Employers can search resumes by keyword
+applicationSchema.index({ resumeText : 'text' });
+
+applicationSchema.statics.statusTransitions = statusTransitions;
+
+// Delete applications along with their stored resumes
+applicationSchema.statics.deleteWithResumes = async function(filter) {
+    const applications = await this.find(filter).select('resume');
+
+    for(let i=0; i<applications.length; i++) {
+        try {
+            await storage.remove(applications[i].resume);
+        } catch (err) {
+            console.log(err);
+        }
+    }
+
+    await this.deleteMany(filter);
+}
+
+// Check if application can be moved to the given status
+applicationSchema.methods.canChangeStatus = function(status) {
+    const allowed = statusTransitions[this.status] || [];
+    return allowed.includes(status);
+}
+
+// Change status and keep track of who changed it
+applicationSchema.methods.changeStatus = function(status, actor, note) {
+    this.status = status;
+    this.statusHistory.push({
+        status,
+        note,
+        changedBy : actor,
+        changedAt : Date.now()
+    });
+}
+
+// Record the initial status when application is created
+applicationSchema.pre('save', function(next) {
+    if(this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({
+            status : this.status,
+            changedBy : this.user,
+            changedAt : this.appliedAt
+        });
+    }
+
+    next();
+});
+
+module.exports = mongoose.model('Application', applicationSchema);
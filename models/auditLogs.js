@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+    actor : {
+        type : mongoose.Schema.ObjectId,
+        ref : 'User'
+    },
+    action : {
+        type : String,
+        required : true
+    },
+    targetType : String,
+    target : mongoose.Schema.ObjectId,
+    changes : mongoose.Schema.Types.Mixed,
+    ip : String,
+    createdAt : {
+        type : Date,
+        default : Date.now
+    }
+});
+
+auditLogSchema.index({ actor : 1, createdAt : -1 });
+auditLogSchema.index({ action : 1, createdAt : -1 });
+
+// Audit logs are append only
+auditLogSchema.pre('save', function(next) {
+    if(!this.isNew) {
+        return next(new Error('Audit logs can not be modified.'));
+    }
+    next();
+});
+
+const blockChange = function(next) {
+    next(new Error('Audit logs can not be modified or deleted.'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove', 'remove'].forEach(method => {
+    auditLogSchema.pre(method, blockChange);
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
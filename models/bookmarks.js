@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const bookmarkSchema = new mongoose.Schema({
+    user : {
+        type : mongoose.Schema.ObjectId,
+        ref : 'User',
+        required : true
+    },
+    job : {
+        type : mongoose.Schema.ObjectId,
+        ref : 'Job',
+        required : true
+    },
+    createdAt : {
+        type : Date,
+        default : Date.now
+    }
+});
+
+// A job can be saved only once by each user
+bookmarkSchema.index({ user : 1, job : 1 }, { unique : true });
+
+// Add saved flag to jobs for the given user
+bookmarkSchema.statics.markSaved = async function(jobs, user) {
+    if(!user) return jobs;
+
+    const saved = await this.find({
+        user : user,
+        job : { $in : jobs.map(job => job._id) }
+    }).distinct('job');
+
+    const savedIds = saved.map(id => id.toString());
+
+    return jobs.map(job => ({
+        ...job.toJSON(),
+        saved : savedIds.includes(job._id.toString())
+    }));
+}
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+const slugify = require('slugify');
+const geoCoder = require('../utils/geocoder');
+const ErrorHandler = require('../utils/errorHandler');
+
+// Legal suffixes ignored when comparing company names
+const legalSuffixes = /\b(inc|incorporated|ltd|limited|llc|corp|corporation|co|gmbh|plc)\b\.?/gi;
+
+const companySchema = new mongoose.Schema({
+    name : {
+        type : String,
+        required : [true, 'Please enter Company name.'],
+        trim : true,
+        maxlength : [100, 'Company name can not exceed 100 characters.']
+    },
+    slug : {
+        type : String,
+        unique : true
+    },
+    logo : {
+        type : String,
+        validate : [value => !value || validator.isURL(value), 'Please add a valid logo URL.']
+    },
+    website : {
+        type : String,
+        validate : [value => !value || validator.isURL(value), 'Please add a valid website URL.']
+    },
+    description : {
+        type : String,
+        maxlength : [2000, 'Company description can not exceed 2000 characters.']
+    },
+    size : {
+        type : String,
+        enum : {
+            values : [
+                '1-10',
+                '11-50',
+                '51-200',
+                '201-500',
+                '501-1000',
+                '1000+'
+            ],
+            message : 'Please select correct options for company size.'
+        }
+    },
+    headquarters : String,
+    location : {
+        type : {
+            type : String,
+            enum : ['Point']
+        },
+        coordinates : {
+            type : [Number],
+            index : '2dsphere'
+        },
+        formattedAddress : String,
+        city : String,
+        state : String,
+        zipcode : String,
+        country : String
+    },
+    members : {
+        type : [{
+            user : {
+                type : mongoose.Schema.ObjectId,
+                ref : 'User',
+                required : true
+            },
+            role : {
+                type : String,
+                enum : {
+                    values : ['owner', 'recruiter', 'viewer'],
+                    message : 'Please select correct role for member.'
+                },
+                default : 'recruiter'
+            },
+            addedAt : {
+                type : Date,
+                default : Date.now
+            }
+        }],
+        validate : [
+            members => members.some(member => member.role === 'owner'),
+            'Company must have at least one owner.'
+        ]
+    },
+    createdAt : {
+        type : Date,
+        default : Date.now
+    }
+});
+
+companySchema.index({ 'members.user' : 1 });
+
+// Same slug for "Acme", "ACME Inc." and "acme"
+companySchema.statics.createSlug = function(name) {
+    const slug = slugify(name.replace(legalSuffixes, ''), { lower : true, strict : true });
+    return slug || slugify(name, { lower : true, strict : true });
+}
+
+// Get role of user in company team
+companySchema.methods.getMemberRole = function(user) {
+    const member = this.members.find(member => {
+        const id = member.user._id || member.user;
+        return id.toString() === user.toString();
+    });
+
+    return member ? member.role : undefined;
+}
+
+// Creating Company Slug before saving
+companySchema.pre('save', function(next) {
+    if(this.isModified('name')) {
+        this.slug = this.constructor.createSlug(this.name);
+    }
+
+    next();
+});
+
+// Setting up Headquarters location
+companySchema.pre('save', async function(next) {
+    if(!this.isModified('headquarters')) return;
+
+    if(!this.headquarters) {
+        this.location = undefined;
+        return;
+    }
+
+    const loc = await geoCoder.geocode(this.headquarters);
+
+    if(!loc || loc.length === 0) {
+        throw new ErrorHandler(`Location not found for headquarters: ${this.headquarters}`, 400);
+    }
+
+    this.location = {
+        type : 'Point',
+        coordinates : [loc[0].longitude, loc[0].latitude],
+        formattedAddress : loc[0].formattedAddress,
+        city : loc[0].city,
+        state : loc[0].stateCode,
+        zipcode : loc[0].zipcode,
+        country : loc[0].countryCode
+    }
+});
+
+module.exports = mongoose.model('Company', companySchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const storage = require('../utils/storage');
+
+const dataExportSchema = new mongoose.Schema({
+    user : {
+        type : mongoose.Schema.ObjectId,
+        ref : 'User',
+        required : true
+    },
+    status : {
+        type : String,
+        enum : ['pending', 'processing', 'ready', 'failed'],
+        default : 'pending'
+    },
+    file : {
+        type : String,
+        select : false
+    },
+    size : Number,
+    requestedAt : {
+        type : Date,
+        default : Date.now
+    },
+    startedAt : Date,
+    completedAt : Date,
+    expiresAt : Date
+});
+
+dataExportSchema.index({ user : 1, requestedAt : -1 });
+dataExportSchema.index({ status : 1 });
+
+// Delete exports along with their archive files
+dataExportSchema.statics.deleteWithFiles = async function(filter) {
+    const dataExports = await this.find(filter).select('+file');
+
+    for(let i=0; i<dataExports.length; i++) {
+        if(!dataExports[i].file) continue;
+
+        try {
+            await storage.remove(dataExports[i].file);
+        } catch (err) {
+            console.log(err);
+        }
+    }
+
+    await this.deleteMany(filter);
+}
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+const crypto = require('crypto');
+
+const invitationSchema = new mongoose.Schema({
+    company : {
+        type : mongoose.Schema.ObjectId,
+        ref : 'Company',
+        required : true
+    },
+    email : {
+        type : String,
+        required : [true, 'Please enter email address to invite.'],
+        lowercase : true,
+        trim : true,
+        validate : [validator.isEmail, 'Please enter valid email address']
+    },
+    role : {
+        type : String,
+        enum : {
+            values : ['owner', 'recruiter', 'viewer'],
+            message : 'Please select correct role for member.'
+        },
+        default : 'recruiter'
+    },
+    invitedBy : {
+        type : mongoose.Schema.ObjectId,
+        ref : 'User',
+        required : true
+    },
+    token : {
+        type : String,
+        select : false
+    },
+    expiresAt : Date,
+    createdAt : {
+        type : Date,
+        default : Date.now
+    }
+});
+
+// Hash invitation token the same way as reset password token
+invitationSchema.statics.hashToken = function(token) {
+    return crypto
+        .createHash('sha256')
+        .update(token)
+        .digest('hex');
+}
+
+// Generate Invitation Token
+invitationSchema.methods.getInvitationToken = function() {
+    const token = crypto.randomBytes(20).toString('hex');
+
+    this.token = this.constructor.hashToken(token);
+
+    // Invitations are valid for 7 days
+    this.expiresAt = Date.now() + 7*24*60*60*1000;
+
+    return token;
+}
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Fields of a job posting kept in its history
+const versionedFields = [
+    'title',
+    'description',
+    'email',
+    'address',
+    'company',
+    'companyName',
+    'industry',
+    'jobType',
+    'minEducation',
+    'positions',
+    'experience',
+    'salary',
+    'lastDate'
+];
+
+const jobVersionSchema = new mongoose.Schema({
+    job : {
+        type : mongoose.Schema.ObjectId,
+        ref : 'Job',
+        required : true
+    },
+    version : {
+        type : Number,
+        required : true
+    },
+    posting : mongoose.Schema.Types.Mixed,
+    changedFields : [String],
+    editedBy : {
+        type : mongoose.Schema.ObjectId,
+        ref : 'User'
+    },
+    createdAt : {
+        type : Date,
+        default : Date.now
+    }
+});
+
+jobVersionSchema.index({ job : 1, version : 1 }, { unique : true });
+
+jobVersionSchema.statics.versionedFields = versionedFields;
+
+// Keep a copy of the current version of job, existing copies are not changed
+jobVersionSchema.statics.record = function(job, editedBy, changedFields) {
+    const data = job.toObject();
+    const posting = {};
+
+    versionedFields.forEach(field => {
+        posting[field] = data[field];
+    });
+
+    return this.updateOne(
+        { job : job._id, version : job.version || 1 },
+        { $setOnInsert : { posting, changedFields, editedBy, createdAt : Date.now() } },
+        { upsert : true }
+    );
+}
+
+// Posting as candidates saw it, hidden salary amounts are left out like in jobs
+jobVersionSchema.methods.getPublicPosting = function() {
+    const posting = { ...this.posting };
+
+    if(posting.salary && posting.salary.hidden) {
+        posting.salary = { ...posting.salary };
+        delete posting.salary.min;
+        delete posting.salary.max;
+    }
+
+    return posting;
+}
+
+module.exports = mongoose.model('JobVersion', jobVersionSchema);
@@ -1,7 +1,55 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
 const validator = require('validator');
 const slugify = require('slugify');
 const geoCoder = require('../utils/geocoder');
+const ErrorHandler = require('../utils/errorHandler');
+
+// Allowed status changes made by the hiring team, jobs are expired automatically
+// Expired jobs can be published again once their last date is moved forward
+const statusTransitions = {
+    draft : ['published'],
+    published : ['paused', 'closed'],
+    paused : ['published', 'closed'],
+    expired : ['published', 'closed'],
+    closed : []
+};
+
+// Pay periods in a year, hourly pay is based on 40 hours a week
+const periodsPerYear = {
+    hour : 2080,
+    month : 12,
+    year : 1
+};
+
+// Convert salary range to a yearly amount
+const getAnnualSalary = salary => {
+    if(!salary || salary.min == null) return undefined;
+
+    const min = Number(salary.min);
+    const max = salary.max == null ? min : Number(salary.max);
+
+    if(max < min) {
+        throw new ErrorHandler('Maximum salary can not be less than minimum salary.', 400);
+    }
+
+    const periods = periodsPerYear[salary.period || 'year'] || 1;
+
+    return {
+        min : Math.round(min * periods),
+        max : Math.round(max * periods)
+    };
+}
+
+// Lower bounds of yearly salary buckets in facets
+const salaryBuckets = [0, 20000, 40000, 60000, 80000, 100000, 150000, 200000];
+
+// Count of jobs for each option of a field
+const countBy = field => [
+    { $match : { [field] : { $nin : [null, ''] } } },
+    { $sortByCount : `$${field}` },
+    { $project : { _id : 0, value : '$_id', count : 1 } }
+];
 
 const jobSchema = new mongoose.Schema({
     title : {
@@ -40,9 +88,11 @@ const jobSchema = new mongoose.Schema({
         country : String
     },
     company : {
-        type : String,
-        required : [true, 'Please add Company name.']
+        type : mongoose.Schema.ObjectId,
+        ref : 'Company',
+        required : [true, 'Please select Company for this job.']
     },
+    companyName : String,
     industry : {
         type : [String],
         required : [true , 'Please enter industry for this job.'],
@@ -100,8 +150,38 @@ const jobSchema = new mongoose.Schema({
         }
     },
     salary : {
-        type : Number,
-        required : [true, 'Please enter expected salary for this job.']
+        min : {
+            type : Number,
+            required : [true, 'Please enter expected salary for this job.'],
+            min : [0, 'Salary can not be negative.']
+        },
+        max : {
+            type : Number,
+            min : [0, 'Salary can not be negative.']
+        },
+        currency : {
+            type : String,
+            uppercase : true,
+            default : 'USD',
+            match : [/^[A-Z]{3}$/, 'Please add a valid currency code like USD or EUR.']
+        },
+        period : {
+            type : String,
+            enum : {
+                values : Object.keys(periodsPerYear),
+                message : 'Please select correct pay period for salary.'
+            },
+            default : 'year'
+        },
+        hidden : {
+            type : Boolean,
+            default : false
+        }
+    },
+    // Salary range per year, used for filtering and stats
+    annualSalary : {
+        min : Number,
+        max : Number
     },
     postingDate : {
         type : Date,
@@ -109,19 +189,138 @@ const jobSchema = new mongoose.Schema({
     },
     lastDate : {
         type : Date,
-        default : new Date().setDate(new Date().getDate() + 7)
+        default : () => new Date().setDate(new Date().getDate() + 7)
     },
-    applicantsApplied : {
-        type : [Object],
-        select : false
+    status : {
+        type : String,
+        enum : {
+            values : Object.keys(statusTransitions),
+            message : 'Please select correct status for job.'
+        },
+        default : 'published'
+    },
+    publishAt : Date,
+    version : {
+        type : Number,
+        default : 1
+    },
+    closedAt : Date,
+    closeReason : {
+        type : String,
+        enum : {
+            values : ['filled', 'cancelled'],
+            message : 'Please select correct reason for closing job.'
+        }
     },
     user : {
         type : mongoose.Schema.ObjectId,
         ref : 'User',
         required : true
     }
+}, {
+    toJSON : {
+        // Hidden salaries are only kept for filtering by the team
+        transform : (doc, ret) => {
+            if(ret.salary && ret.salary.hidden) {
+                delete ret.salary.min;
+                delete ret.salary.max;
+                delete ret.annualSalary;
+            }
+            return ret;
+        }
+    }
+});
+
+// Text search ranks matches in title above company and description
+jobSchema.index({
+    title : 'text',
+    companyName : 'text',
+    description : 'text'
+}, {
+    name : 'JobTextIndex',
+    weights : {
+        title : 10,
+        companyName : 5,
+        description : 1
+    }
 });
 
+jobSchema.index({ status : 1, lastDate : 1 });
+jobSchema.index({ 'annualSalary.min' : 1, 'annualSalary.max' : 1 });
+
+jobSchema.statics.statusTransitions = statusTransitions;
+jobSchema.statics.getAnnualSalary = getAnnualSalary;
+
+// Conditions of jobs listed publicly
+jobSchema.statics.publicFilter = function() {
+    return {
+        status : 'published',
+        lastDate : { $gte : new Date() }
+    };
+}
+
+// Count jobs matching the conditions by filter options in one aggregation
+jobSchema.statics.getFacets = async function(conditions) {
+    const [facets] = await this.aggregate([
+        { $match : { ...conditions, deletedAt : null } },
+        {
+            $facet : {
+                industry : [{ $unwind : '$industry' }, ...countBy('industry')],
+                jobType : countBy('jobType'),
+                minEducation : countBy('minEducation'),
+                experience : countBy('experience'),
+                city : countBy('location.city'),
+                state : countBy('location.state'),
+                currency : countBy('salary.currency'),
+                salary : [
+                    { $match : { 'salary.hidden' : { $ne : true }, 'annualSalary.min' : { $gte : 0 } } },
+                    {
+                        $bucket : {
+                            groupBy : '$annualSalary.min',
+                            boundaries : [...salaryBuckets, Infinity],
+                            output : { count : { $sum : 1 } }
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    // Yearly ranges of salary buckets, the last one has no upper limit
+    facets.salary = facets.salary.map(bucket => {
+        const index = salaryBuckets.indexOf(bucket._id);
+
+        return {
+            min : bucket._id,
+            max : index < salaryBuckets.length - 1 ? salaryBuckets[index + 1] : null,
+            count : bucket.count
+        };
+    });
+
+    return facets;
+}
+
+// Check if job can be moved to the given status
+jobSchema.methods.canChangeStatus = function(status) {
+    const allowed = statusTransitions[this.status] || [];
+    return allowed.includes(status);
+}
+
+jobSchema.methods.changeStatus = function(status, reason) {
+    // Drafts are posted when published, paused jobs keep their posting date
+    if(this.status === 'draft' && status === 'published') {
+        this.postingDate = Date.now();
+        this.publishAt = undefined;
+    }
+
+    if(status === 'closed') {
+        this.closedAt = Date.now();
+        this.closeReason = reason || 'cancelled';
+    }
+
+    this.status = status;
+}
+
 // Creating Job Slug before saving
 jobSchema.pre('save', function(next) {
     // Creating slug before saving to DB
@@ -130,8 +329,25 @@ jobSchema.pre('save', function(next) {
     next();
 });
 
+// Updating yearly salary range
+jobSchema.pre('save', async function() {
+    if(this.isModified('salary')) {
+        this.annualSalary = getAnnualSalary(this.salary);
+    }
+});
+
+jobSchema.pre('findOneAndUpdate', async function() {
+    const update = this.getUpdate();
+
+    if(update.salary) {
+        update.annualSalary = getAnnualSalary(update.salary);
+    }
+});
+
 // Setting up Location
 jobSchema.pre('save', async function(next) {
+    if(!this.isModified('address')) return;
+
     const loc = await geoCoder.geocode(this.address);
 
     this.location = {
@@ -146,4 +362,7 @@ jobSchema.pre('save', async function(next) {
 });
 
 
+// Deleted jobs are kept until the purge worker removes them
+jobSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Job', jobSchema);
\ No newline at end of file
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const savedSearchSchema = new mongoose.Schema({
+    user : {
+        type : mongoose.Schema.ObjectId,
+        ref : 'User',
+        required : true
+    },
+    name : {
+        type : String,
+        required : [true, 'Please enter a name for this search.'],
+        trim : true,
+        maxlength : [100, 'Search name can not exceed 100 characters.']
+    },
+    query : {
+        type : String,
+        default : ''
+    },
+    zipcode : String,
+    distance : {
+        type : Number,
+        min : [0, 'Distance can not be negative.']
+    },
+    unit : {
+        type : String,
+        enum : {
+            values : ['mi', 'km'],
+            message : 'Please select unit mi or km.'
+        },
+        default : 'mi'
+    },
+    location : {
+        type : {
+            type : String,
+            enum : ['Point']
+        },
+        coordinates : [Number]
+    },
+    frequency : {
+        type : String,
+        enum : {
+            values : ['daily', 'weekly'],
+            message : 'Please select correct options for frequency.'
+        },
+        default : 'weekly'
+    },
+    alerts : {
+        type : Boolean,
+        default : true
+    },
+    unsubscribeToken : {
+        type : String,
+        select : false
+    },
+    lastSentAt : {
+        type : Date,
+        default : Date.now
+    },
+    createdAt : {
+        type : Date,
+        default : Date.now
+    }
+});
+
+// Generating unsubscribe token for alert emails
+savedSearchSchema.pre('save', function(next) {
+    if(!this.unsubscribeToken) {
+        this.unsubscribeToken = crypto.randomBytes(20).toString('hex');
+    }
+
+    next();
+});
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const sessionSchema = new mongoose.Schema({
+    user : {
+        type : mongoose.Schema.ObjectId,
+        ref : 'User',
+        required : true
+    },
+    refreshToken : {
+        type : String,
+        select : false
+    },
+    userAgent : String,
+    ip : String,
+    createdAt : {
+        type : Date,
+        default : Date.now
+    },
+    lastUsedAt : {
+        type : Date,
+        default : Date.now
+    },
+    expiresAt : Date,
+    revokedAt : Date
+});
+
+sessionSchema.index({ user : 1, revokedAt : 1 });
+
+// Expired sessions are removed by MongoDB, revoked ones are kept until then to detect reused tokens
+sessionSchema.index({ expiresAt : 1 }, { expireAfterSeconds : 0 });
+
+// Hash refresh token the same way as reset password token
+sessionSchema.statics.hashToken = function(token) {
+    return crypto
+        .createHash('sha256')
+        .update(token)
+        .digest('hex');
+}
+
+// Revoke all active sessions of a user
+sessionSchema.statics.revokeAll = function(user, except) {
+    const filter = { user, revokedAt : null };
+
+    if(except) {
+        filter._id = { $ne : except };
+    }
+
+    return this.updateMany(filter, { revokedAt : Date.now() });
+}
+
+// Check if session can still be used
+sessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > Date.now();
+}
+
+// Generate a new refresh token, the previous one stops working
+sessionSchema.methods.rotateRefreshToken = function() {
+    const secret = crypto.randomBytes(40).toString('hex');
+
+    this.refreshToken = this.constructor.hashToken(secret);
+    this.lastUsedAt = Date.now();
+    this.expiresAt = Date.now() + (process.env.REFRESH_TOKEN_EXPIRES_TIME || 30) * 24*60*60*1000;
+
+    return `${this._id}.${secret}`;
+}
+
+module.exports = mongoose.model('Session', sessionSchema);
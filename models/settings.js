@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Settings are read often and change rarely, so they are cached for a while
+const CACHE_TIME = 60*1000;
+const cache = {};
+
+const settingSchema = new mongoose.Schema({
+    key : {
+        type : String,
+        required : true,
+        unique : true
+    },
+    value : mongoose.Schema.Types.Mixed,
+    updatedBy : {
+        type : mongoose.Schema.ObjectId,
+        ref : 'User'
+    },
+    updatedAt : {
+        type : Date,
+        default : Date.now
+    }
+});
+
+// Get value of a setting
+settingSchema.statics.getValue = async function(key, defaultValue) {
+    if(cache[key] && cache[key].expires > Date.now()) {
+        return cache[key].value;
+    }
+
+    const setting = await this.findOne({ key });
+    const value = setting ? setting.value : defaultValue;
+
+    cache[key] = { value, expires : Date.now() + CACHE_TIME };
+
+    return value;
+}
+
+// Change value of a setting
+settingSchema.statics.setValue = async function(key, value, user) {
+    const setting = await this.findOneAndUpdate(
+        { key },
+        { value, updatedBy : user, updatedAt : Date.now() },
+        { new : true, upsert : true, useFindAndModify : false }
+    );
+
+    delete cache[key];
+
+    return setting;
+}
+
+module.exports = mongoose.model('Setting', settingSchema);
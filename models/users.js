@@ -1,8 +1,13 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
 const validator = require('validator');
 const bcrypt = require('bcryptjs')
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { authenticator } = require('otplib');
+
+// Accept codes from the previous and the next 30 seconds step
+authenticator.options = { window : 1 };
 
 const userSchema = new mongoose.Schema({
     name : {
@@ -18,7 +23,7 @@ const userSchema = new mongoose.Schema({
     role : {
         type : String,
         enum : {
-            values : ['user', 'employeer'],
+            values : ['user', 'employeer', 'admin'],
             message : 'Please select correct role'
         },
         default : 'user'
@@ -33,8 +38,48 @@ const userSchema = new mongoose.Schema({
         type : Date,
         default : Date.now
     },
+    suspended : {
+        type : Boolean,
+        default : false
+    },
+    suspendedAt : Date,
+    suspendedReason : String,
+    emailVerified : {
+        type : Boolean,
+        default : false
+    },
+    emailVerificationToken : {
+        type : String,
+        select : false
+    },
+    emailVerificationExpire : {
+        type : Date,
+        select : false
+    },
+    emailVerificationSentAt : Date,
+    twoFactorEnabled : {
+        type : Boolean,
+        default : false
+    },
+    twoFactorSecret : {
+        type : String,
+        select : false
+    },
+    twoFactorRecoveryCodes : {
+        type : [String],
+        select : false
+    },
+    twoFactorLastStep : {
+        type : Number,
+        select : false
+    },
     resetPasswordToken : String,
-    resetPasswordExpire : Date
+    resetPasswordExpire : Date,
+    // Set when an admin resets the password, login is blocked until a new one is chosen
+    passwordResetRequired : {
+        type : Boolean,
+        default : false
+    }
 },
 {
     toJSON : {virtuals : true},
@@ -45,16 +90,16 @@ const userSchema = new mongoose.Schema({
 userSchema.pre('save', async function(next) {
 
     if(!this.isModified('password')) {
-        next();
+        return next();
     }
 
     this.password = await bcrypt.hash(this.password, 10)
 });
 
-// Return JSON Web Token
-userSchema.methods.getJwtToken = function() {
-    return jwt.sign({ id : this._id}, process.env.JWT_SECRET, {
-        expiresIn : process.env.JWT_EXPIRES_TIME
+// Return short lived JSON Web Token bound to a session
+userSchema.methods.getJwtToken = function(session) {
+    return jwt.sign({ id : this._id, sid : session }, process.env.JWT_SECRET, {
+        expiresIn : process.env.JWT_EXPIRES_TIME || '15m'
     });
 }
 
@@ -80,6 +125,78 @@ userSchema.methods.getResetPasswordToken = function() {
     return resetToken;
 }
 
+// Generate Email Verification Token
+userSchema.methods.getEmailVerificationToken = function() {
+    // Generate token
+    const verificationToken = crypto.randomBytes(20).toString('hex');
+
+    // Hash and set to emailVerificationToken
+    this.emailVerificationToken = crypto
+            .createHash('sha256')
+            .update(verificationToken)
+            .digest('hex');
+
+    // Set token expire time
+    this.emailVerificationExpire = Date.now() + 24*60*60*1000;
+    this.emailVerificationSentAt = Date.now();
+
+    return verificationToken;
+}
+
+// Generate TOTP secret and provisioning URI for authenticator apps
+userSchema.methods.getTwoFactorSetup = function() {
+    this.twoFactorSecret = authenticator.generateSecret();
+
+    return {
+        secret : this.twoFactorSecret,
+        uri : authenticator.keyuri(this.email, 'Jobbee', this.twoFactorSecret)
+    };
+}
+
+// Check TOTP code, every code can be used only once
+userSchema.methods.verifyTwoFactorCode = function(code) {
+    if(!this.twoFactorSecret || !code) return false;
+
+    const delta = authenticator.checkDelta(String(code), this.twoFactorSecret);
+    if(delta === null) return false;
+
+    const step = Math.floor(Date.now() / 30000) + delta;
+    if(this.twoFactorLastStep && step <= this.twoFactorLastStep) return false;
+
+    this.twoFactorLastStep = step;
+    return true;
+}
+
+const hashRecoveryCode = code => crypto
+    .createHash('sha256')
+    .update(String(code).trim().toLowerCase())
+    .digest('hex');
+
+// Generate one time recovery codes, only their hashes are saved
+userSchema.methods.generateRecoveryCodes = function() {
+    const codes = [];
+
+    for(let i=0; i<10; i++) {
+        const code = crypto.randomBytes(5).toString('hex');
+        codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+    }
+
+    this.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+
+    return codes;
+}
+
+// Use a recovery code instead of TOTP code
+userSchema.methods.useRecoveryCode = function(code) {
+    if(!code || !this.twoFactorRecoveryCodes) return false;
+
+    const index = this.twoFactorRecoveryCodes.indexOf(hashRecoveryCode(code));
+    if(index === -1) return false;
+
+    this.twoFactorRecoveryCodes.splice(index, 1);
+    return true;
+}
+
 // Show all jobs create by user using virtuals
 userSchema.virtual('jobsPublished', {
     ref : 'Job',
@@ -88,4 +205,7 @@ userSchema.virtual('jobsPublished', {
     justOne : false
 });
 
+// Deleted users are kept until the purge worker removes them
+userSchema.plugin(softDelete);
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
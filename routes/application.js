@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    getApplication,
+    updateApplicationStatus,
+    withdrawApplication,
+    downloadResume
+} = require('../controllers/applicationController');
+
+const { isAuthenticatedUser, authorizeRoles } = require('../middlewares/auth');
+
+router.use(isAuthenticatedUser);
+
+router.route('/application/:id').get(getApplication);
+router.route('/application/:id/status').put(authorizeRoles('employeer', 'admin'), updateApplicationStatus);
+router.route('/application/:id/resume').get(authorizeRoles('employeer', 'admin'), downloadResume);
+router.route('/application/:id/withdraw').put(authorizeRoles('user'), withdrawApplication);
+
+module.exports = router;
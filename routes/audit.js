@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+
+const { getAuditLogs } = require('../controllers/auditController');
+
+const { isAuthenticatedUser, authorizeRoles } = require('../middlewares/auth');
+
+router.route('/audit').get(isAuthenticatedUser, authorizeRoles('admin'), getAuditLogs);
+
+module.exports = router;
@@ -4,20 +4,31 @@ const router = express.Router();
 const { 
     registerUser,
     loginUser,
+    loginTwoFactor,
     forgotPassword,
     resetPassword,
+    refreshToken,
+    verifyEmail,
+    resendVerificationEmail,
     logout
  } = require('../controllers/authContoller');
 
  const { isAuthenticatedUser } = require('../middlewares/auth');
+ const { forgotPasswordLimiter, resetPasswordLimiter } = require('../middlewares/rateLimiters');
 
 router.route('/register').post(registerUser);
 router.route('/login').post(loginUser);
+router.route('/login/2fa').post(loginTwoFactor);
 
-router.route('/password/forgot').post(forgotPassword);
+router.route('/password/forgot').post(forgotPasswordLimiter, forgotPassword);
 
-router.route('/password/reset/:token').put(resetPassword);
+router.route('/password/reset/:token').put(resetPasswordLimiter, resetPassword);
 
-router.route('/logout').get(isAuthenticatedUser, logout);
+router.route('/email/verify/resend').post(isAuthenticatedUser, resendVerificationEmail);
+router.route('/email/verify/:token').get(verifyEmail);
+
+router.route('/token/refresh').post(refreshToken);
+
+router.route('/logout').post(isAuthenticatedUser, logout);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    getCompanies,
+    getCompany,
+    newCompany,
+    updateCompany,
+    deleteCompany,
+    getMembers,
+    inviteMember,
+    acceptInvitation,
+    updateMember,
+    removeMember
+} = require('../controllers/companyController');
+
+const { isAuthenticatedUser, authorizeRoles } = require('../middlewares/auth');
+
+router.route('/companies').get(getCompanies);
+router.route('/company/new').post(isAuthenticatedUser, authorizeRoles('employeer', 'admin'), newCompany);
+router.route('/company/:slug').get(getCompany);
+
+router.route('/company/:id')
+    .put(isAuthenticatedUser, authorizeRoles('employeer', 'admin'), updateCompany)
+    .delete(isAuthenticatedUser, authorizeRoles('employeer', 'admin'), deleteCompany);
+
+// Company team routes
+router.route('/company/:id/members').get(isAuthenticatedUser, authorizeRoles('employeer', 'admin'), getMembers);
+router.route('/company/:id/invite').post(isAuthenticatedUser, authorizeRoles('employeer', 'admin'), inviteMember);
+router.route('/invitation/:token/accept').put(isAuthenticatedUser, authorizeRoles('employeer'), acceptInvitation);
+
+router.route('/company/:id/member/:userId')
+    .put(isAuthenticatedUser, authorizeRoles('employeer', 'admin'), updateMember)
+    .delete(isAuthenticatedUser, authorizeRoles('employeer', 'admin'), removeMember);
+
+module.exports = router;
@@ -10,23 +10,49 @@ const {
     updateJob,
     deleteJob,
     jobStats,
-    applyJob
+    applyJob,
+    getJobApplicants,
+    saveJob,
+    unsaveJob,
+    getSavedJobs,
+    restoreJob,
+    updateJobStatus,
+    duplicateJob,
+    repostJob,
+    getJobVersions,
+    getJobVersion,
+    suggestJobs
 
 } = require('../controllers/jobsController');
 
-const { isAuthenticatedUser, authorizeRoles } = require('../middlewares/auth');
-
-router.route('/jobs').get(getJobs);
-router.route('/job/:id/:slug').get(getJob);
-router.route('/jobs/:zipcode/:distance').get(getJobsInRadius);
+const { isAuthenticatedUser, identifyUser, authorizeRoles, isEmailVerified } = require('../middlewares/auth');
+
+router.route('/jobs').get(identifyUser, getJobs);
+router.route('/jobs/suggest').get(suggestJobs);
+router.route('/jobs/nearby').get(identifyUser, getJobsInRadius);
+router.route('/jobs/saved').get(isAuthenticatedUser, authorizeRoles('user'), getSavedJobs);
+router.route('/job/:id/applicants').get(isAuthenticatedUser, authorizeRoles('employeer', 'admin'), getJobApplicants);
+router.route('/job/:id/versions').get(isAuthenticatedUser, authorizeRoles('employeer', 'admin'), getJobVersions);
+router.route('/job/:id/versions/:version').get(isAuthenticatedUser, authorizeRoles('employeer', 'admin'), getJobVersion);
+router.route('/job/:id/:slug').get(identifyUser, getJob);
+router.route('/jobs/:zipcode/:distance').get(identifyUser, getJobsInRadius);
 router.route('/stats/:topic').get(jobStats);
 
-router.route('/job/new').post(isAuthenticatedUser, authorizeRoles('employeer', 'admin'), newJob);
+router.route('/job/new').post(isAuthenticatedUser, authorizeRoles('employeer', 'admin'), isEmailVerified, newJob);
+
+router.route('/job/:id/save')
+    .put(isAuthenticatedUser, authorizeRoles('user'), saveJob)
+    .delete(isAuthenticatedUser, authorizeRoles('user'), unsaveJob);
 
-router.route('/job/:id/apply').put(isAuthenticatedUser, authorizeRoles('user'), applyJob)
+router.route('/job/:id/apply').put(isAuthenticatedUser, authorizeRoles('user'), isEmailVerified, applyJob)
 
 router.route('/job/:id')
     .put(isAuthenticatedUser, authorizeRoles('employeer', 'admin'), updateJob)
     .delete(isAuthenticatedUser, authorizeRoles('employeer', 'admin'), deleteJob);
 
+router.route('/job/:id/duplicate').post(isAuthenticatedUser, authorizeRoles('employeer', 'admin'), isEmailVerified, duplicateJob);
+router.route('/job/:id/repost').put(isAuthenticatedUser, authorizeRoles('employeer', 'admin'), repostJob);
+router.route('/job/:id/status').put(isAuthenticatedUser, authorizeRoles('employeer', 'admin'), updateJobStatus);
+router.route('/job/:id/restore').put(isAuthenticatedUser, authorizeRoles('admin'), restoreJob);
+
 module.exports = router;
\ No newline at end of file
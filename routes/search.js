@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    newSearch,
+    getSearches,
+    updateSearch,
+    deleteSearch,
+    unsubscribeSearch
+} = require('../controllers/searchController');
+
+const { isAuthenticatedUser } = require('../middlewares/auth');
+
+router.route('/search/unsubscribe/:token').get(unsubscribeSearch);
+
+router.route('/searches').get(isAuthenticatedUser, getSearches);
+router.route('/search/new').post(isAuthenticatedUser, newSearch);
+
+router.route('/search/:id')
+    .put(isAuthenticatedUser, updateSearch)
+    .delete(isAuthenticatedUser, deleteSearch);
+
+module.exports = router;
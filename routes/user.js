@@ -6,10 +6,28 @@ const {
     updatePassword,
     updateUser,
     deleteUser,
+    requestDataExport,
+    getDataExport,
+    downloadDataExport,
     getAppliedJobs,
     getPublishedJobs,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+    setupTwoFactor,
+    confirmTwoFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    getTwoFactorPolicy,
+    updateTwoFactorPolicy,
     getUsers,
-    deleteUserAdmin
+    getUser,
+    updateUserRole,
+    suspendUser,
+    unsuspendUser,
+    resetUserPassword,
+    deleteUserAdmin,
+    restoreUser
  } = require('../controllers/userController');
 
 const { isAuthenticatedUser, authorizeRoles } = require('../middlewares/auth');
@@ -25,8 +43,34 @@ router.route('/me/update').put(updateUser);
 
 router.route('/me/delete').delete(deleteUser);
 
+router.route('/me/export')
+    .get(getDataExport)
+    .post(requestDataExport);
+router.route('/me/export/download').get(downloadDataExport);
+
+router.route('/me/sessions')
+    .get(getSessions)
+    .delete(revokeOtherSessions);
+router.route('/me/sessions/:id').delete(revokeSession);
+
+router.route('/me/2fa/setup').post(setupTwoFactor);
+router.route('/me/2fa/confirm').post(confirmTwoFactor);
+router.route('/me/2fa/recovery').post(regenerateRecoveryCodes);
+router.route('/me/2fa').delete(disableTwoFactor);
+
 // Admin only routes
 router.route('/users').get(authorizeRoles('admin'),getUsers);
-router.route('/user/:id').delete(authorizeRoles('admin'),deleteUserAdmin);
+router.route('/user/:id')
+    .get(authorizeRoles('admin'), getUser)
+    .delete(authorizeRoles('admin'), deleteUserAdmin);
+router.route('/user/:id/role').put(authorizeRoles('admin'), updateUserRole);
+router.route('/user/:id/suspend').put(authorizeRoles('admin'), suspendUser);
+router.route('/user/:id/unsuspend').put(authorizeRoles('admin'), unsuspendUser);
+router.route('/user/:id/restore').put(authorizeRoles('admin'), restoreUser);
+router.route('/user/:id/password/reset').put(authorizeRoles('admin'), resetUserPassword);
+
+router.route('/settings/2fa')
+    .get(authorizeRoles('admin'), getTwoFactorPolicy)
+    .put(authorizeRoles('admin'), updateTwoFactorPolicy);
 
 module.exports = router;
\ No newline at end of file
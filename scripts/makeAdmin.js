@@ -0,0 +1,38 @@
+// Give admin role to an existing user, admins can not be created through the API
+//   =>   npm run make-admin -- user@email.com
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config({path : './config/config.env'});
+
+const connectDatabase = require('../config/database');
+const User = require('../models/users');
+
+const email = process.argv[2];
+
+if(!email) {
+    console.log('Please enter email of the user.');
+    process.exit(1);
+}
+
+connectDatabase();
+
+mongoose.connection.once('open', async () => {
+    try {
+        const user = await User.findOneAndUpdate({ email }, { role : 'admin' }, {
+            new : true,
+            useFindAndModify : false
+        });
+
+        if(!user) {
+            console.log(`No user found with this email: ${email}`);
+            process.exit(1);
+        }
+
+        console.log(`${user.email} is now an admin.`);
+        process.exit(0);
+    } catch (err) {
+        console.log(`ERROR: ${err.message}`);
+        process.exit(1);
+    }
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('assert');
+
+const { LoginGuard } = require('../utils/loginGuard');
+const MemoryStore = require('../utils/memoryStore');
+
+const email = 'user@email.com';
+const ip = '10.0.0.1';
+
+// Guard with a clock which only moves when the test says so
+const createGuard = (t, options) => {
+    const clock = { now : Date.now() };
+    t.mock.method(Date, 'now', () => clock.now);
+
+    const guard = new LoginGuard({
+        store : new MemoryStore(),
+        maxAttempts : 3,
+        ipMaxAttempts : 5,
+        lockTime : 15*60*1000,
+        baseDelay : 1000,
+        maxDelay : 4000,
+        ...options
+    });
+
+    return { guard, clock };
+}
+
+test('every failure doubles the wait before the next attempt', async t => {
+    const { guard, clock } = createGuard(t, { maxAttempts : 10, ipMaxAttempts : 10 });
+
+    assert.deepStrictEqual(await guard.check(email, ip), { allowed : true });
+
+    const waits = [];
+    for(let i=0; i<4; i++) {
+        await guard.recordFailure(email, ip);
+
+        const attempt = await guard.check(email, ip);
+        assert.strictEqual(attempt.allowed, false);
+        assert.strictEqual(attempt.locked, false);
+        waits.push(attempt.retryAfter);
+
+        clock.now += attempt.retryAfter * 1000;
+        assert.strictEqual((await guard.check(email, ip)).allowed, true);
+    }
+
+    // Wait is capped by maxDelay
+    assert.deepStrictEqual(waits, [1, 2, 4, 4]);
+});
+
+test('account is locked after too many failures until lock time ends', async t => {
+    const { guard, clock } = createGuard(t);
+
+    let result;
+    for(let i=0; i<3; i++) {
+        result = await guard.recordFailure(email, ip);
+        clock.now += 5000;
+    }
+
+    assert.deepStrictEqual(result, { failures : 3, accountLocked : true, ipLocked : false });
+
+    const attempt = await guard.check(email, ip);
+    assert.strictEqual(attempt.allowed, false);
+    assert.strictEqual(attempt.locked, true);
+    assert.strictEqual(attempt.retryAfter, 15*60 - 5);
+
+    // Same account from another address is locked as well
+    assert.strictEqual((await guard.check(email.toUpperCase(), '10.0.0.2')).locked, true);
+
+    clock.now += 15*60*1000;
+    assert.deepStrictEqual(await guard.check(email, ip), { allowed : true });
+
+    // Failures are counted from zero after the lock
+    result = await guard.recordFailure(email, ip);
+    assert.strictEqual(result.failures, 1);
+    assert.strictEqual(result.accountLocked, false);
+});
+
+test('ip address is locked after failures on many accounts', async t => {
+    const { guard, clock } = createGuard(t);
+
+    let result;
+    for(let i=0; i<5; i++) {
+        result = await guard.recordFailure(`user${i}@email.com`, ip);
+        clock.now += 5000;
+    }
+
+    assert.strictEqual(result.accountLocked, false);
+    assert.strictEqual(result.ipLocked, true);
+
+    assert.strictEqual((await guard.check('other@email.com', ip)).locked, true);
+    assert.deepStrictEqual(await guard.check('other@email.com', '10.0.0.2'), { allowed : true });
+});
+
+test('successful login clears account failures', async t => {
+    const { guard, clock } = createGuard(t);
+
+    await guard.recordFailure(email, ip);
+    await guard.recordFailure(email, ip);
+    clock.now += 5000;
+
+    await guard.recordSuccess(email, ip);
+
+    const result = await guard.recordFailure(email, ip);
+    assert.strictEqual(result.failures, 1);
+});
+
+test('memory store forgets expired keys', async t => {
+    const clock = { now : Date.now() };
+    t.mock.method(Date, 'now', () => clock.now);
+
+    const store = new MemoryStore();
+    await store.set('key', { failures : 1 }, 1000);
+    assert.deepStrictEqual(await store.get('key'), { failures : 1 });
+
+    clock.now += 1000;
+    assert.strictEqual(await store.get('key'), undefined);
+
+    await store.set('other', 1, 1000);
+    clock.now += 1000;
+    store.cleanup();
+    assert.strictEqual(store.items.size, 0);
+});
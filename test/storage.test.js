@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const { LocalStorage, S3Storage } = require('../utils/storage');
+
+// Minimal S3 compatible server keeping objects in memory, like a local MinIO
+const startS3Server = async () => {
+    const objects = new Map();
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const key = decodeURIComponent(req.url.split('?')[0]);
+            const object = objects.get(key);
+
+            if(req.method === 'PUT') {
+                objects.set(key, { body : Buffer.concat(chunks), contentType : req.headers['content-type'] });
+                res.writeHead(200, { ETag : '"etag"' });
+                return res.end();
+            }
+
+            if(req.method === 'DELETE') {
+                objects.delete(key);
+                res.writeHead(204);
+                return res.end();
+            }
+
+            if(!object) {
+                res.writeHead(404, { 'Content-Type' : 'application/xml' });
+                return res.end(req.method === 'HEAD' ? undefined : '<Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+            }
+
+            res.writeHead(200, {
+                'Content-Type' : object.contentType,
+                'Content-Length' : object.body.length
+            });
+            res.end(req.method === 'HEAD' ? undefined : object.body);
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return { server, objects, endpoint : `http://127.0.0.1:${server.address().port}` };
+}
+
+// Save, check, read, stream and remove a file with a storage driver
+const roundTrip = async storage => {
+    const data = Buffer.from('%PDF- resume');
+    const key = storage.generateKey('Resume.PDF');
+
+    assert.match(key, /^[0-9a-f]{32}\.pdf$/);
+    assert.strictEqual(await storage.exists(key), false);
+
+    assert.strictEqual(await storage.save(key, data, 'application/pdf'), key);
+    assert.strictEqual(await storage.exists(key), true);
+    assert.deepStrictEqual(await storage.read(key), data);
+
+    const chunks = [];
+    for await (const chunk of storage.createReadStream(key)) chunks.push(chunk);
+    assert.deepStrictEqual(Buffer.concat(chunks), data);
+
+    await storage.remove(key);
+    assert.strictEqual(await storage.exists(key), false);
+}
+
+test('local storage saves, reads and removes files', async t => {
+    const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'jobbee-storage-'));
+    t.after(() => fs.promises.rm(root, { recursive : true, force : true }));
+
+    const storage = new LocalStorage(path.join(root, 'resumes'));
+    await roundTrip(storage);
+
+    // Keys can not leave the storage folder
+    assert.strictEqual(storage.resolve('../../etc/passwd'), path.join(root, 'resumes', 'passwd'));
+
+    // Removing a missing file is not an error
+    await storage.remove('missing.pdf');
+});
+
+test('s3 storage saves, reads and removes objects', async t => {
+    const { server, objects, endpoint } = await startS3Server();
+    t.after(() => server.close());
+
+    const storage = new S3Storage({
+        bucket : 'resumes',
+        endpoint,
+        region : 'us-east-1',
+        accessKeyId : 'minio',
+        secretAccessKey : 'minio-secret',
+        forcePathStyle : true
+    });
+
+    const key = storage.generateKey('resume.pdf');
+    await storage.save(key, Buffer.from('resume'), 'application/pdf');
+
+    assert.strictEqual(objects.get(`/resumes/${key}`).contentType, 'application/pdf');
+    await storage.remove(key);
+
+    await roundTrip(storage);
+    assert.strictEqual(objects.size, 0);
+});
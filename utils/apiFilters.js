@@ -1,32 +1,61 @@
+const qs = require('qs');
+const mongoose = require('mongoose');
+const ErrorHandler = require('./errorHandler');
+const { matchModes, parseSearch } = require('./textSearch');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Query parameters which are not filters
+const reservedParams = ['sort', 'fields', 'q', 'match', 'limit', 'page', 'cursor', 'facets'];
+
 class APIFilters {
-    constructor(query, queryStr) {
+    // Schema lists filterable fields with their operators, sortable and selectable fields
+    constructor(query, queryStr, schema) {
         this.query = query;
         this.queryStr = queryStr;
+        this.schema = schema;
+
+        if(schema.search && typeof queryStr.q === 'string') {
+            this.search = parseSearch(queryStr.q, queryStr.match, schema.searchFields);
+        }
     }
 
-    filter() {
-        const queryCopy = {...this.queryStr};
+    // Results of a text search are ranked by relevance unless sorted otherwise
+    getSort() {
+        if(this.queryStr.sort) return this.queryStr.sort;
 
-        // Removing fields from the query
-        const removeFields = ['sort', 'fields', 'q', 'limit', 'page'];
-        removeFields.forEach(el => delete queryCopy[el]);
+        const ranked = this.search && this.search.search && this.queryStr.cursor === undefined;
+        return ranked ? 'relevance' : this.schema.defaultSort;
+    }
 
-        // Advance filter using: lt, lte, gt, gte
-        let queryStr = JSON.stringify(queryCopy);
-        queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`)
+    filter() {
+        const { conditions, errors } = parseQuery(this.queryStr, this.schema);
+
+        if(errors.length > 0) {
+            throw new ErrorHandler(`Invalid query parameters: ${errors.join(', ')}`, 400);
+        }
 
-        this.query = this.query.find(JSON.parse(queryStr));
+        this.query = this.query.find(conditions);
         return this;
     }
 
     sort() {
-        if(this.queryStr.sort) {
-            const sortBy = this.queryStr.sort.split(',').join(' ');
-            this.query = this.query.sort(sortBy);
-        } else {
-            this.query = this.query.sort('-postingDate');
+        const sortBy = this.getSort();
+
+        if(sortBy === 'relevance') {
+            if(!this.search || !this.search.search) {
+                throw new ErrorHandler('Please enter q text search to sort by relevance.', 400);
+            }
+
+            this.query = this.query
+                .select({ score : { $meta : 'textScore' } })
+                .sort({ score : { $meta : 'textScore' } });
+            return this;
         }
 
+        this.query = this.query.sort(sortBy.split(',').join(' '));
+
         return this;
     }
 
@@ -42,23 +71,259 @@ class APIFilters {
     }
 
     searchByQuery() {
-        if(this.queryStr.q) {
-            const qu = this.queryStr.q.split('-').join(' ');
-            this.query = this.query.find({$text: {$search: "\""+ qu +"\""}});
+        if(!this.search) return this;
+
+        if(this.search.search) {
+            this.query = this.query.find({$text: {$search: this.search.search}});
+        }
+
+        if(this.search.filters.length > 0) {
+            this.query = this.query.and(this.search.filters);
         }
 
         return this;
     }
 
+    // Page mode with ?page=2, cursor mode with ?cursor= which stays stable while new documents are added
     pagination() {
-        const page = parseInt(this.queryStr.page, 10) || 1;
-        const limit = parseInt(this.queryStr.limit, 10) || 10;
-        const skipResults = (page - 1) * limit;
+        this.limit = Math.min(Math.max(parseInt(this.queryStr.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+        // Conditions without cursor for counting all results
+        const conditions = this.query.getFilter();
+        this.conditions = { ...conditions };
+        if(conditions.$and) this.conditions.$and = [...conditions.$and];
+
+        if(this.queryStr.cursor !== undefined) {
+            return this.cursorPagination();
+        }
+
+        this.page = Math.max(parseInt(this.queryStr.page, 10) || 1, 1);
+        const skipResults = (this.page - 1) * this.limit;
+
+        this.query = this.query.skip(skipResults).limit(this.limit);
+
+        return this;
+    }
 
-        this.query = this.query.skip(skipResults).limit(limit);
+    cursorPagination() {
+        const sortBy = this.getSort().split(',');
+
+        if(sortBy[0] === 'relevance') {
+            throw new ErrorHandler('Cursor pagination can not sort by relevance.', 400);
+        }
+
+        if(sortBy.length > 1) {
+            throw new ErrorHandler('Cursor pagination can only sort by one field.', 400);
+        }
+
+        const descending = sortBy[0].startsWith('-');
+        const operator = descending ? '$lt' : '$gt';
+        this.sortField = sortBy[0].replace(/^[-+]/, '');
+
+        // Documents with the same sort value keep their order by id
+        const direction = descending ? -1 : 1;
+        this.query = this.query.sort({ [this.sortField] : direction, _id : direction });
+
+        // Sort field is needed to create the next cursor
+        if(this.queryStr.fields && !this.queryStr.fields.includes('-')) {
+            this.query = this.query.select(this.sortField);
+        }
+
+        if(this.queryStr.cursor) {
+            const cursor = decodeCursor(this.queryStr.cursor);
+
+            this.query = this.query.and([{
+                $or : [
+                    { [this.sortField] : { [operator] : cursor.value } },
+                    { [this.sortField] : cursor.value, _id : { [operator] : cursor.id } }
+                ]
+            }]);
+        }
+
+        this.query = this.query.limit(this.limit);
 
         return this;
     }
+
+    // Conditions of all results casted to schema types, used for aggregations
+    getConditions() {
+        const conditions = { ...this.conditions };
+        if(conditions.$and) conditions.$and = [...conditions.$and];
+
+        return this.query.cast(this.query.model, conditions);
+    }
+
+    // Total count, page details and links of the results
+    async getPagination(results, req) {
+        const total = await this.query.model.countDocuments(this.conditions);
+        const link = params => `${req.baseUrl}${req.path}?${qs.stringify({ ...req.query, ...params })}`;
+
+        if(this.sortField) {
+            const last = results[results.length - 1];
+            const cursor = results.length === this.limit ? encodeCursor(last, this.sortField) : null;
+
+            return {
+                total,
+                limit : this.limit,
+                cursor,
+                next : cursor && link({ cursor })
+            };
+        }
+
+        const pages = Math.ceil(total / this.limit);
+
+        return {
+            total,
+            page : this.page,
+            limit : this.limit,
+            pages,
+            next : this.page < pages ? link({ page : this.page + 1 }) : null,
+            prev : this.page > 1 ? link({ page : Math.min(this.page - 1, pages || 1) }) : null
+        };
+    }
+}
+
+// Cursor keeps sort value and id of the last document of a page
+function encodeCursor(doc, sortField) {
+    const value = doc.get ? doc.get(sortField) : sortField.split('.').reduce((obj, key) => obj && obj[key], doc);
+    return Buffer.from(JSON.stringify({ value : value === undefined ? null : value, id : doc._id })).toString('base64');
+}
+
+// Cursor is not sanitized like the query string, only plain values are accepted
+function decodeCursor(cursor) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64').toString());
+    } catch (err) {
+        decoded = null;
+    }
+
+    // Dates are kept as ISO strings, null when the last document has no sort value
+    const isScalar = value => value === null || ['string', 'number'].includes(typeof value);
+
+    if(!decoded || typeof decoded.id !== 'string' || !mongoose.Types.ObjectId.isValid(decoded.id) || !isScalar(decoded.value)) {
+        throw new ErrorHandler('Invalid cursor. Please start again without cursor value.', 400);
+    }
+
+    return { value : decoded.value, id : decoded.id };
+}
+
+// Parse values of an operator, lists can be sent as in=a,b or in[]=a&in[]=b
+function parseValue(operator, value) {
+    if(operator === 'in' || operator === 'nin') {
+        const values = Array.isArray(value) ? value : String(value).split(',');
+        return values.every(item => typeof item === 'string') ? values : undefined;
+    }
+
+    if(operator === 'exists') {
+        return value === 'true' ? true : value === 'false' ? false : undefined;
+    }
+
+    return typeof value === 'string' ? value : undefined;
+}
+
+// Build conditions of a filter like title=x, lastDate[gte]=2020-01-01, jobType[in]=a,b
+function parseFilter(param, value, filter) {
+    const conditions = {};
+    const errors = [];
+
+    // Repeated parameter is a list of values
+    if(Array.isArray(value)) {
+        value = { in : value };
+    }
+
+    if(typeof value !== 'object') {
+        value = { eq : value };
+    }
+
+    Object.keys(value).forEach(operator => {
+        const parsed = filter.operators.includes(operator) ? parseValue(operator, value[operator]) : undefined;
+
+        // Values which can not be cast to the field type
+        const values = parsed === undefined || operator === 'exists' ? [] : [].concat(parsed);
+        const invalid = filter.isValid && values.some(item => !filter.isValid(item));
+
+        if(parsed === undefined || invalid) {
+            errors.push(`${param}[${operator}]`);
+            return;
+        }
+
+        conditions[`$${operator}`] = parsed;
+    });
+
+    return { conditions : { [param] : conditions }, errors };
+}
+
+// Check query parameters against schema and build Mongo conditions
+function parseQuery(queryStr, schema) {
+    const conditions = {};
+    const errors = [];
+
+    Object.keys(queryStr).forEach(param => {
+        const value = queryStr[param];
+
+        if(reservedParams.includes(param) && typeof value !== 'string') {
+            errors.push(param);
+            return;
+        }
+
+        if(param === 'sort') {
+            if(value === 'relevance' && schema.search) return;
+
+            String(value).split(',').forEach(field => {
+                if(!schema.sort.includes(field.replace(/^[-+]/, ''))) errors.push(`sort(${field})`);
+            });
+            return;
+        }
+
+        if(param === 'fields') {
+            const fields = String(value).split(',');
+
+            fields.forEach(field => {
+                if(!schema.fields.includes(field.replace(/^-/, ''))) errors.push(`fields(${field})`);
+            });
+
+            // Mongo can not include and exclude fields at once
+            const excluded = fields.filter(field => field.startsWith('-')).length;
+            if(excluded > 0 && excluded < fields.length) errors.push('fields');
+            return;
+        }
+
+        if(param === 'q') {
+            if(!schema.search) errors.push(param);
+            return;
+        }
+
+        if(param === 'match') {
+            if(!schema.search || !matchModes.includes(value)) errors.push(param);
+            return;
+        }
+
+        if(param === 'facets') {
+            if(!schema.facets || !['true', 'false'].includes(value)) errors.push(param);
+            return;
+        }
+
+        if(reservedParams.includes(param)) return;
+
+        const filter = schema.filters[param];
+
+        if(!filter) {
+            errors.push(param);
+            return;
+        }
+
+        // Custom filters build their own conditions
+        const result = typeof filter === 'function' ? filter(value, param) : parseFilter(param, value, filter);
+
+        Object.assign(conditions, result.conditions);
+        errors.push(...result.errors);
+    });
+
+    return { conditions, errors };
 }
 
-module.exports = APIFilters;
\ No newline at end of file
+// Invalid parameters of a query, used to check saved queries
+APIFilters.validate = (queryStr, schema) => parseQuery(queryStr, schema).errors;
+
+module.exports = APIFilters;
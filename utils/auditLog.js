@@ -0,0 +1,45 @@
+const AuditLog = require('../models/auditLogs');
+
+// Fields that never go into the audit log
+const hiddenFields = ['password', 'resetPasswordToken', 'resetPasswordExpire', 'emailVerificationToken', 'emailVerificationExpire', 'twoFactorSecret', 'twoFactorRecoveryCodes'];
+
+// Record an action, actor is the current user unless given
+// Failing to write the log does not fail the request
+const auditLog = async (req, action, target, changes, actor) => {
+    try {
+        actor = actor || req.user;
+
+        await AuditLog.create({
+            actor : actor && actor._id,
+            action,
+            targetType : target && target.constructor.modelName,
+            target : target && target._id,
+            changes,
+            ip : req.ip
+        });
+    } catch (err) {
+        console.log(`Audit log(${action}) is not saved: ${err.message}`);
+    }
+}
+
+// Changed values of the given fields between two versions of a document
+const diff = (before, after, fields) => {
+    const changes = {};
+
+    before = before && before.toObject ? before.toObject() : (before || {});
+    after = after && after.toObject ? after.toObject() : (after || {});
+
+    fields.forEach(field => {
+        if(hiddenFields.includes(field)) return;
+
+        if(JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+            changes[field] = { from : before[field], to : after[field] };
+        }
+    });
+
+    return changes;
+}
+
+module.exports = auditLog;
+module.exports.diff = diff;
+module.exports.hiddenFields = hiddenFields;
@@ -9,4 +9,11 @@ const options = {
 
 const geoCoder = nodeGeocoder(options);
 
-module.exports = geoCoder;
\ No newline at end of file
+// Meters in a unit and radius of the earth in that unit, used by radius searches
+const distanceUnits = {
+    mi : { meters : 1609.344, earthRadius : 3963.2 },
+    km : { meters : 1000, earthRadius : 6378.1 }
+};
+
+module.exports = geoCoder;
+module.exports.distanceUnits = distanceUnits;
\ No newline at end of file
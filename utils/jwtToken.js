@@ -1,27 +1,92 @@
-// Create and send token and save in cookie
-const sendToken = (user, statusCode, res) => {
-    // Create JWT Token
-    const token = user.getJwtToken();
+const crypto = require('crypto');
+const Session = require('../models/sessions');
+
+// Refresh token cookie is only sent to the token routes
+const REFRESH_COOKIE_PATH = '/api/v1/token';
+
+// NODE_ENV is set with a trailing space by the windows start script
+const isProduction = () => (process.env.NODE_ENV || '').trim() === 'production';
 
-    // Options for cookie
+// Options for cookie
+const cookieOptions = (expires, httpOnly = true) => {
     const options = {
-        expires : new Date(Date.now() + process.env.COOKIE_EXPIRES_TIME * 24*60*60*1000),
-        httpOnly : true
+        expires,
+        httpOnly
     };
 
-    // if(process.env.NODE_ENV === 'production ') {
-    //     options.secure = true;
-    // }
+    if(isProduction()) {
+        options.secure = true;
+        options.sameSite = 'strict';
+    }
+
+    return options;
+}
+
+// CSRF token bound to the session, required for cookie authenticated requests
+const getCsrfToken = session => crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(session.toString())
+    .digest('hex');
+
+const verifyCsrfToken = (session, token) => {
+    const expected = Buffer.from(getCsrfToken(session));
+    const received = Buffer.from(String(token || ''));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Create and send token and save in cookie
+// A new session is started unless the session being refreshed is given
+const sendToken = async (user, statusCode, res, session) => {
+    const req = res.req;
+
+    if(!session) {
+        session = new Session({
+            user : user._id,
+            userAgent : req.get('user-agent'),
+            ip : req.ip
+        });
+    }
+
+    // Create refresh token and short lived JWT Token
+    const refreshToken = session.rotateRefreshToken();
+    await session.save();
+
+    const token = user.getJwtToken(session._id);
+    const csrfToken = getCsrfToken(session._id);
+
+    const expires = new Date(Date.now() + process.env.COOKIE_EXPIRES_TIME * 24*60*60*1000);
 
     res
         .status(statusCode)
-        .cookie('token', token, options)
+        .cookie('token', token, cookieOptions(expires))
+        .cookie('refreshToken', refreshToken, {
+            ...cookieOptions(session.expiresAt),
+            path : REFRESH_COOKIE_PATH
+        })
+        // Readable by browser clients to send back in X-CSRF-Token header
+        .cookie('csrfToken', csrfToken, cookieOptions(session.expiresAt, false))
         .json({
             success : true,
-            token
+            token,
+            refreshToken,
+            csrfToken
         });
+}
 
-    
+// Remove all authentication cookies
+const clearToken = res => {
+    const expires = new Date(Date.now());
+
+    res
+        .cookie('token', 'none', cookieOptions(expires))
+        .cookie('refreshToken', 'none', {
+            ...cookieOptions(expires),
+            path : REFRESH_COOKIE_PATH
+        })
+        .cookie('csrfToken', 'none', cookieOptions(expires, false));
 }
 
-module.exports = sendToken;
\ No newline at end of file
+module.exports = sendToken;
+module.exports.clearToken = clearToken;
+module.exports.verifyCsrfToken = verifyCsrfToken;
@@ -0,0 +1,97 @@
+const MemoryStore = require('./memoryStore');
+
+// Tracks failed logins per account and per IP address
+// Every failure doubles the wait before the next attempt, too many failures lock for a while
+class LoginGuard {
+    constructor(options = {}) {
+        this.store = options.store || new MemoryStore();
+        this.maxAttempts = options.maxAttempts || 5;
+        this.ipMaxAttempts = options.ipMaxAttempts || 20;
+        this.lockTime = options.lockTime || 15*60*1000;
+        this.baseDelay = options.baseDelay || 1000;
+        this.maxDelay = options.maxDelay || 60*1000;
+    }
+
+    keys(email, ip) {
+        return {
+            account : `login:account:${String(email).trim().toLowerCase()}`,
+            ip : `login:ip:${ip}`
+        };
+    }
+
+    // Check if login attempt is allowed, returns seconds to wait otherwise
+    async check(email, ip) {
+        const keys = this.keys(email, ip);
+        const now = Date.now();
+
+        const states = [await this.store.get(keys.account), await this.store.get(keys.ip)];
+
+        for(let i=0; i<states.length; i++) {
+            const state = states[i];
+            if(!state) continue;
+
+            if(state.lockedUntil > now) {
+                return { allowed : false, locked : true, retryAfter : Math.ceil((state.lockedUntil - now) / 1000) };
+            }
+
+            if(state.nextAttemptAt > now) {
+                return { allowed : false, locked : false, retryAfter : Math.ceil((state.nextAttemptAt - now) / 1000) };
+            }
+        }
+
+        return { allowed : true };
+    }
+
+    async fail(key, maxAttempts) {
+        const now = Date.now();
+        const state = await this.store.get(key) || { failures : 0 };
+
+        // Failures are counted again after a lock ends
+        if(state.lockedUntil && state.lockedUntil <= now) {
+            state.failures = 0;
+            state.lockedUntil = undefined;
+        }
+
+        state.failures++;
+        state.nextAttemptAt = now + Math.min(this.baseDelay * Math.pow(2, state.failures - 1), this.maxDelay);
+
+        let locked = false;
+        if(state.failures >= maxAttempts) {
+            state.lockedUntil = now + this.lockTime;
+            locked = true;
+        }
+
+        await this.store.set(key, state, this.lockTime);
+
+        return { failures : state.failures, locked };
+    }
+
+    // Record failed login, tells if the account just got locked
+    async recordFailure(email, ip) {
+        const keys = this.keys(email, ip);
+
+        const account = await this.fail(keys.account, this.maxAttempts);
+        const address = await this.fail(keys.ip, this.ipMaxAttempts);
+
+        return {
+            failures : account.failures,
+            accountLocked : account.locked,
+            ipLocked : address.locked
+        };
+    }
+
+    // Successful login clears the account, IP failures expire on their own
+    async recordSuccess(email, ip) {
+        await this.store.delete(this.keys(email, ip).account);
+    }
+}
+
+const loginGuard = new LoginGuard({
+    maxAttempts : Number(process.env.LOGIN_MAX_ATTEMPTS) || undefined,
+    ipMaxAttempts : Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || undefined,
+    lockTime : process.env.LOGIN_LOCK_TIME && process.env.LOGIN_LOCK_TIME * 60*1000,
+    baseDelay : process.env.LOGIN_DELAY && process.env.LOGIN_DELAY * 1000
+});
+
+module.exports = loginGuard;
+module.exports.LoginGuard = LoginGuard;
@@ -0,0 +1,42 @@
+// Key value store kept in memory with expiry per key
+// Other stores (redis etc.) only have to provide the same async methods
+class MemoryStore {
+    constructor() {
+        this.items = new Map();
+
+        // Remove expired keys from time to time
+        this.timer = setInterval(() => this.cleanup(), 60*1000);
+        if(this.timer.unref) this.timer.unref();
+    }
+
+    async get(key) {
+        const item = this.items.get(key);
+
+        if(!item) return undefined;
+
+        if(item.expires <= Date.now()) {
+            this.items.delete(key);
+            return undefined;
+        }
+
+        return item.value;
+    }
+
+    async set(key, value, ttl) {
+        this.items.set(key, { value, expires : Date.now() + ttl });
+    }
+
+    async delete(key) {
+        this.items.delete(key);
+    }
+
+    cleanup() {
+        const now = Date.now();
+
+        this.items.forEach((item, key) => {
+            if(item.expires <= now) this.items.delete(key);
+        });
+    }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,83 @@
+const Company = require('../models/companies');
+const ErrorHandler = require('./errorHandler');
+
+// Company roles from the least to the most privileged
+const roleLevels = {
+    viewer : 1,
+    recruiter : 2,
+    owner : 3
+};
+
+// Minimum company role needed for each action
+const actions = {
+    'job:create' : { role : 'recruiter', description : 'post jobs for this company' },
+    'job:update' : { role : 'recruiter', description : 'update this job' },
+    'job:delete' : { role : 'recruiter', description : 'delete this job' },
+    'job:history' : { role : 'viewer', description : 'see edit history of this job' },
+    'applications:view' : { role : 'viewer', description : 'see applicants of this job' },
+    'applications:update' : { role : 'recruiter', description : 'update applications of this job' },
+    'company:view' : { role : 'viewer', description : 'see members of this company' },
+    'company:update' : { role : 'owner', description : 'update this company' },
+    'company:delete' : { role : 'owner', description : 'delete this company' },
+    'members:manage' : { role : 'owner', description : 'manage members of this company' }
+};
+
+// Resolve company of a job or company document
+const getCompany = async resource => {
+    if(resource instanceof Company) return resource;
+
+    const company = resource.company;
+    if(!company) return null;
+
+    if(company instanceof Company) return company;
+    return Company.findById(company._id || company);
+}
+
+// Check if user can perform the action on a job or company
+const can = async (user, action, resource) => {
+    if(!user) return false;
+    if(user.role === 'admin') return true;
+
+    // Deleted jobs are not populated
+    if(!resource) return false;
+
+    if(!actions[action]) {
+        throw new Error(`Unknown permission action: ${action}`);
+    }
+
+    const company = await getCompany(resource);
+
+    // Jobs posted before companies existed belong to their creator
+    if(!company) {
+        return Boolean(resource.user) && resource.user.toString() === user.id;
+    }
+
+    const role = company.getMemberRole(user.id);
+
+    return Boolean(role) && roleLevels[role] >= roleLevels[actions[action].role];
+}
+
+// Same as can but fails with 403 error
+const authorize = async (user, action, resource) => {
+    if(!(await can(user, action, resource))) {
+        throw new ErrorHandler(`User(${user.id}) is not allowed to ${actions[action].description}.`, 403);
+    }
+}
+
+// Get ids of companies where user has at least the given role
+const getUserCompanies = async (user, minRole = 'viewer') => {
+    const roles = Object.keys(roleLevels).filter(role => roleLevels[role] >= roleLevels[minRole]);
+
+    const companies = await Company.find({
+        members : { $elemMatch : { user : user.id, role : { $in : roles } } }
+    }).select('_id');
+
+    return companies.map(company => company._id);
+}
+
+module.exports = {
+    roleLevels,
+    can,
+    authorize,
+    getUserCompanies
+};
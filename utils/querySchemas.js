@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+
+// Filterable, sortable and selectable fields of each resource listed with APIFilters
+
+const rangeOperators = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'exists'];
+
+const isNumber = value => value.trim() !== '' && !isNaN(Number(value));
+
+// Operators allowed for each kind of field and check of their values
+const text = { operators : ['eq', 'ne', 'in', 'nin', 'exists'] };
+const number = { operators : rangeOperators, isValid : isNumber };
+const date = { operators : rangeOperators, isValid : value => /^\d+$/.test(value) || !isNaN(new Date(value).getTime()) };
+const reference = { operators : ['eq', 'ne', 'in', 'nin'], isValid : value => mongoose.Types.ObjectId.isValid(value) };
+const flag = { operators : ['eq', 'ne'], isValid : value => ['true', 'false'].includes(value) };
+
+// Salary filters compare with the yearly salary range of jobs
+// salary[gte]=50000 matches ranges reaching 50000, salary=50000 ranges including it
+const salaryFilter = (value, param) => {
+    const conditions = {};
+    const errors = [];
+
+    if(typeof value !== 'object' || Array.isArray(value)) {
+        value = { eq : value };
+    }
+
+    const fields = {
+        gte : 'annualSalary.max',
+        gt : 'annualSalary.max',
+        lte : 'annualSalary.min',
+        lt : 'annualSalary.min'
+    };
+
+    const addCondition = (field, operator, amount) => {
+        conditions[field] = { ...conditions[field], [`$${operator}`] : amount };
+    };
+
+    Object.keys(value).forEach(operator => {
+        const amount = value[operator];
+
+        if(typeof amount !== 'string' || (operator !== 'currency' && !isNumber(amount))) {
+            errors.push(`${param}[${operator}]`);
+        } else if(fields[operator]) {
+            addCondition(fields[operator], operator, amount);
+        } else if(operator === 'eq') {
+            addCondition('annualSalary.min', 'lte', amount);
+            addCondition('annualSalary.max', 'gte', amount);
+        } else if(operator === 'currency') {
+            conditions['salary.currency'] = amount.toUpperCase();
+        } else {
+            errors.push(`${param}[${operator}]`);
+        }
+    });
+
+    // Hidden salaries can not be found by amount
+    conditions['salary.hidden'] = { $ne : true };
+
+    return { conditions, errors };
+}
+
+const jobs = {
+    filters : {
+        title : text,
+        company : reference,
+        companyName : text,
+        industry : text,
+        jobType : text,
+        minEducation : text,
+        experience : text,
+        positions : number,
+        postingDate : date,
+        lastDate : date,
+        status : text,
+        'location.city' : text,
+        'location.state' : text,
+        'location.zipcode' : text,
+        'location.country' : text,
+        salary : salaryFilter
+    },
+    sort : ['title', 'companyName', 'positions', 'postingDate', 'lastDate', 'annualSalary.min', 'annualSalary.max'],
+    fields : ['title', 'slug', 'description', 'email', 'address', 'location', 'company', 'companyName', 'industry', 'jobType', 'minEducation', 'positions', 'experience', 'salary', 'postingDate', 'lastDate', 'status'],
+    defaultSort : '-postingDate',
+    search : true,
+    // Words like title:developer only search the given field
+    searchFields : {
+        title : 'title',
+        company : 'companyName',
+        description : 'description'
+    },
+    facets : true
+};
+
+// Nearby jobs are ordered by distance and can not be text searched
+const nearbyJobs = {
+    ...jobs,
+    sort : [...jobs.sort, 'distance'],
+    defaultSort : 'distance',
+    search : false,
+    facets : false
+};
+
+const users = {
+    filters : {
+        name : text,
+        email : text,
+        role : text,
+        emailVerified : flag,
+        suspended : flag,
+        twoFactorEnabled : flag,
+        createdAt : date
+    },
+    sort : ['name', 'email', 'role', 'createdAt'],
+    fields : ['name', 'email', 'role', 'emailVerified', 'suspended', 'suspendedAt', 'suspendedReason', 'twoFactorEnabled', 'createdAt'],
+    defaultSort : '-createdAt'
+};
+
+const applications = {
+    filters : {
+        status : text,
+        jobVersion : number,
+        appliedAt : date
+    },
+    sort : ['status', 'appliedAt'],
+    fields : ['job', 'jobVersion', 'user', 'resumeName', 'status', 'statusHistory', 'appliedAt'],
+    defaultSort : '-appliedAt',
+    search : true
+};
+
+const companies = {
+    filters : {
+        name : text,
+        slug : text,
+        size : text,
+        headquarters : text,
+        'location.city' : text,
+        'location.state' : text,
+        'location.country' : text,
+        createdAt : date
+    },
+    sort : ['name', 'createdAt'],
+    fields : ['name', 'slug', 'logo', 'website', 'description', 'size', 'headquarters', 'location', 'createdAt'],
+    defaultSort : 'name'
+};
+
+const auditLogs = {
+    filters : {
+        actor : reference,
+        action : text,
+        targetType : text,
+        target : reference,
+        ip : text,
+        createdAt : date
+    },
+    sort : ['action', 'createdAt'],
+    fields : ['actor', 'action', 'targetType', 'target', 'changes', 'ip', 'createdAt'],
+    defaultSort : '-createdAt'
+};
+
+module.exports = {
+    jobs,
+    nearbyJobs,
+    users,
+    applications,
+    companies,
+    auditLogs
+};
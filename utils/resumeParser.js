@@ -0,0 +1,78 @@
+const JSZip = require('jszip');
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+const ErrorHandler = require('./errorHandler');
+
+const PDF_SIGNATURE = Buffer.from('%PDF-');
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// Decode the few XML entities used in word documents
+const decodeEntities = text => text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const parsePdf = async data => {
+    // Encrypted documents keep an /Encrypt entry in their trailer
+    if(data.toString('latin1').includes('/Encrypt')) {
+        throw new ErrorHandler('Encrypted documents are not allowed. Please upload an unprotected file.', 400);
+    }
+
+    try {
+        const pdf = await pdfParse(data);
+        return pdf.text;
+    } catch (err) {
+        throw new ErrorHandler('Resume file is damaged and can not be read.', 400);
+    }
+}
+
+const parseDocx = async data => {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(data);
+    } catch (err) {
+        throw new ErrorHandler('Resume file is damaged and can not be read.', 400);
+    }
+
+    const contentTypes = zip.file('[Content_Types].xml');
+    const document = zip.file('word/document.xml');
+
+    if(!contentTypes || !document) {
+        throw new ErrorHandler('Please upload document file.', 400);
+    }
+
+    // Macro enabled documents carry a VBA project
+    const types = await contentTypes.async('string');
+    if(zip.file(/vbaProject\.bin$/i).length > 0 || /macroEnabled/i.test(types)) {
+        throw new ErrorHandler('Macro enabled documents are not allowed.', 400);
+    }
+
+    const xml = await document.async('string');
+
+    return decodeEntities(xml
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<\/w:p>/g, '\n')
+        .replace(/<[^>]+>/g, ''));
+}
+
+// Verify resume content against its extension and extract its plain text
+const parseResume = async (data, ext) => {
+    ext = ext.toLowerCase();
+    let text;
+
+    if(ext === '.pdf' && data.slice(0, PDF_SIGNATURE.length).equals(PDF_SIGNATURE)) {
+        text = await parsePdf(data);
+    } else if(ext === '.docx' && data.slice(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE)) {
+        text = await parseDocx(data);
+    } else {
+        throw new ErrorHandler('File content does not match a PDF or DOCX document.', 400);
+    }
+
+    return text
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim();
+}
+
+module.exports = parseResume;
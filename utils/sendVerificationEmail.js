@@ -0,0 +1,21 @@
+const sendEmail = require('./sendEmail');
+
+// Create verification token and email the link to user
+const sendVerificationEmail = async (user, req) => {
+    const verificationToken = user.getEmailVerificationToken();
+
+    await user.save({ validateBeforeSave : false });
+
+    // Create verify email url
+    const verifyUrl = `${req.protocol}://${req.get('host')}/api/v1/email/verify/${verificationToken}`;
+
+    const message = `Please verify your email address by opening this link:\n\n${verifyUrl}\n\nThe link expires in 24 hours. If you have not created a Jobbee account, then please ignore that.`
+
+    await sendEmail({
+        email : user.email,
+        subject : 'Jobbee-API Email Verification',
+        message
+    });
+}
+
+module.exports = sendVerificationEmail;
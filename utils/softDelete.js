@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Query operations that hide soft deleted documents
+const hiddenQueries = ['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndRemove', 'countDocuments'];
+
+// Mongoose plugin to keep deleted documents until they are purged
+const softDelete = schema => {
+    schema.add({
+        deletedAt : {
+            type : Date,
+            default : null
+        },
+        deletedBy : {
+            type : mongoose.Schema.ObjectId,
+            ref : 'User'
+        }
+    });
+
+    schema.index({ deletedAt : 1 });
+
+    // Include soft deleted documents in the query
+    schema.query.withDeleted = function() {
+        this._withDeleted = true;
+        return this;
+    }
+
+    hiddenQueries.forEach(method => {
+        schema.pre(method, function() {
+            if(!this._withDeleted) {
+                this.where({ deletedAt : null });
+            }
+        });
+    });
+
+    // Updated directly so save hooks like geocoding do not run again
+    schema.methods.softDelete = function(actor) {
+        this.deletedAt = Date.now();
+        this.deletedBy = actor;
+        return this.constructor.updateOne({ _id : this._id }, { deletedAt : this.deletedAt, deletedBy : actor });
+    }
+
+    schema.methods.restore = function() {
+        this.deletedAt = null;
+        this.deletedBy = undefined;
+        return this.constructor.updateOne({ _id : this._id }, { deletedAt : null, $unset : { deletedBy : 1 } });
+    }
+}
+
+// Days deleted documents are kept before purging
+softDelete.retentionDays = () => Number(process.env.DELETED_RETENTION_DAYS) || 30;
+
+module.exports = softDelete;
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class Storage {
+    // Collision free key keeping the original extension
+    generateKey(filename) {
+        const ext = path.extname(filename || '').toLowerCase();
+        return `${crypto.randomBytes(16).toString('hex')}${ext}`;
+    }
+}
+
+// Files are kept on local disk, outside of the public folder
+class LocalStorage extends Storage {
+    constructor(root) {
+        super();
+        this.root = path.resolve(root);
+    }
+
+    resolve(key) {
+        return path.join(this.root, path.basename(key));
+    }
+
+    async save(key, data) {
+        await fs.promises.mkdir(this.root, { recursive : true });
+        await fs.promises.writeFile(this.resolve(key), data);
+
+        return key;
+    }
+
+    async exists(key) {
+        try {
+            await fs.promises.access(this.resolve(key));
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    createReadStream(key) {
+        return fs.createReadStream(this.resolve(key));
+    }
+
+    async read(key) {
+        return fs.promises.readFile(this.resolve(key));
+    }
+
+    async remove(key) {
+        try {
+            await fs.promises.unlink(this.resolve(key));
+        } catch (err) {
+            if(err.code !== 'ENOENT') throw err;
+        }
+    }
+}
+
+// Files are kept in an S3 compatible bucket (AWS S3, MinIO etc.)
+class S3Storage extends Storage {
+    constructor(options) {
+        super();
+        const AWS = require('aws-sdk');
+
+        this.bucket = options.bucket;
+        this.client = new AWS.S3({
+            endpoint : options.endpoint,
+            region : options.region,
+            accessKeyId : options.accessKeyId,
+            secretAccessKey : options.secretAccessKey,
+            s3ForcePathStyle : options.forcePathStyle,
+            signatureVersion : 'v4'
+        });
+    }
+
+    async save(key, data, contentType) {
+        await this.client.putObject({
+            Bucket : this.bucket,
+            Key : key,
+            Body : data,
+            ContentType : contentType
+        }).promise();
+
+        return key;
+    }
+
+    async exists(key) {
+        try {
+            await this.client.headObject({ Bucket : this.bucket, Key : key }).promise();
+            return true;
+        } catch (err) {
+            if(err.code === 'NotFound' || err.code === 'NoSuchKey') return false;
+            throw err;
+        }
+    }
+
+    createReadStream(key) {
+        return this.client.getObject({ Bucket : this.bucket, Key : key }).createReadStream();
+    }
+
+    async read(key) {
+        const object = await this.client.getObject({ Bucket : this.bucket, Key : key }).promise();
+        return object.Body;
+    }
+
+    async remove(key) {
+        await this.client.deleteObject({ Bucket : this.bucket, Key : key }).promise();
+    }
+}
+
+const createStorage = () => {
+    if(process.env.STORAGE_DRIVER === 's3') {
+        return new S3Storage({
+            bucket : process.env.S3_BUCKET,
+            endpoint : process.env.S3_ENDPOINT || undefined,
+            region : process.env.S3_REGION || 'us-east-1',
+            accessKeyId : process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey : process.env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle : process.env.S3_FORCE_PATH_STYLE === 'true'
+        });
+    }
+
+    return new LocalStorage(process.env.STORAGE_PATH || './storage/resumes');
+}
+
+const storage = createStorage();
+
+module.exports = storage;
+module.exports.LocalStorage = LocalStorage;
+module.exports.S3Storage = S3Storage;
@@ -0,0 +1,53 @@
+// Ways of matching the words of a text search
+//   any : at least one word, all : every word, phrase : the exact phrase,
+//   boolean : Mongo syntax with "quoted phrases" and -excluded words
+// Only any and boolean words are stemmed, Mongo finds quoted words as they are written
+const matchModes = ['any', 'all', 'phrase', 'boolean'];
+
+const escapeRegex = text => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split search into $text search string and conditions of field:term words
+// e.g. q=developer title:senior company:"acme corp"
+const parseSearch = (q, match = 'any', fields = {}) => {
+    const filters = [];
+
+    const text = String(q).replace(/(\w+):(?:"([^"]*)"|(\S+))/g, (token, field, quoted, word) => {
+        if(!fields[field]) return token;
+
+        filters.push({
+            [fields[field]] : { $regex : escapeRegex(quoted !== undefined ? quoted : word), $options : 'i' }
+        });
+
+        return ' ';
+    });
+
+    let search;
+
+    if(match === 'boolean') {
+        search = text.trim();
+    } else {
+        // Words can also be separated by dashes like q=node-developer
+        const words = text.replace(/"/g, ' ').split(/[\s-]+/).filter(Boolean);
+
+        if(match === 'phrase') {
+            search = words.length > 0 ? `"${words.join(' ')}"` : '';
+        } else if(match === 'all') {
+            // Every quoted word has to be found
+            search = words.map(word => `"${word}"`).join(' ');
+        } else {
+            // Jobs matching more of the words rank higher
+            search = words.join(' ');
+        }
+    }
+
+    return {
+        search : search || undefined,
+        filters
+    };
+}
+
+module.exports = {
+    matchModes,
+    escapeRegex,
+    parseSearch
+};
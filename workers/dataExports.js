@@ -0,0 +1,171 @@
+const path = require('path');
+const JSZip = require('jszip');
+const User = require('../models/users');
+const Job = require('../models/jobs');
+const Application = require('../models/applications');
+const JobVersion = require('../models/jobVersions');
+const DataExport = require('../models/dataExports');
+const storage = require('../utils/storage');
+const sendEmail = require('../utils/sendEmail');
+const { hiddenFields } = require('../utils/auditLog');
+
+const DAY = 24*60*60*1000;
+
+// Exports stuck in processing this long are started again
+const PROCESSING_TIMEOUT = 60*60*1000;
+
+const baseUrl = () => process.env.APP_URL || `http://localhost:${process.env.PORT}`;
+
+const expiresIn = () => (Number(process.env.DATA_EXPORT_EXPIRES_DAYS) || 7) * DAY;
+
+const toJSONFile = data => JSON.stringify(data, null, 2);
+
+// Build zip archive with all personal data of user
+const createArchive = async user => {
+    const zip = new JSZip();
+
+    // Tokens and secrets of the account are left out
+    const profile = user.toJSON();
+    hiddenFields.forEach(field => delete profile[field]);
+
+    zip.file('profile.json', toJSONFile(profile));
+
+    const applications = await Application.find({user : user._id})
+        .populate({
+            path : 'job',
+            select : 'title slug description email address companyName industry jobType minEducation positions experience salary postingDate lastDate'
+        })
+        .sort('-appliedAt');
+
+    // Job posting as the candidate saw it when applying, current job for older applications
+    const exported = [];
+
+    for(let i=0; i<applications.length; i++) {
+        const application = applications[i].toJSON();
+        const jobId = applications[i].populated('job') || applications[i].job;
+
+        const jobVersion = application.jobVersion && await JobVersion.findOne({
+            job : jobId,
+            version : application.jobVersion
+        });
+
+        if(jobVersion) {
+            application.job = { _id : jobId, ...jobVersion.getPublicPosting() };
+        }
+
+        exported.push(application);
+    }
+
+    zip.file('applications.json', toJSONFile(exported));
+
+    // Uploaded resumes, prefixed with application id as file names may repeat
+    for(let i=0; i<applications.length; i++) {
+        const application = applications[i];
+
+        try {
+            const data = await storage.read(application.resume);
+            const name = path.basename(application.resumeName || application.resume);
+
+            zip.file(`resumes/${application._id}-${name}`, data);
+        } catch (err) {
+            console.log(`Resume of application(${application._id}) is not exported: ${err.message}`);
+        }
+    }
+
+    if(user.role === 'employeer') {
+        const jobs = await Job.find({user : user._id}).sort('-postingDate');
+        zip.file('jobs.json', toJSONFile(jobs));
+    }
+
+    return zip.generateAsync({ type : 'nodebuffer', compression : 'DEFLATE' });
+}
+
+const sendReadyEmail = async (user, dataExport) => {
+    const downloadUrl = `${baseUrl()}/api/v1/me/export/download`;
+
+    const message = `Hi ${user.name},\n\nThe copy of your Jobbee data is ready. Login and download it from:\n\n${downloadUrl}\n\nThe download is available until ${dataExport.expiresAt.toUTCString()}.`;
+
+    await sendEmail({
+        email : user.email,
+        subject : 'Jobbee-API Your data export is ready',
+        message
+    });
+}
+
+const processExport = async dataExport => {
+    try {
+        const user = await User.findById(dataExport.user)
+            .populate({
+                path : 'jobsPublished',
+                select : 'title postingDate'
+            });
+
+        if(!user) {
+            await DataExport.deleteWithFiles({_id : dataExport._id});
+            return;
+        }
+
+        const archive = await createArchive(user);
+        const file = storage.generateKey('export.zip');
+
+        await storage.save(file, archive, 'application/zip');
+
+        dataExport.file = file;
+        dataExport.size = archive.length;
+        dataExport.status = 'ready';
+        dataExport.completedAt = Date.now();
+        dataExport.expiresAt = new Date(Date.now() + expiresIn());
+        await dataExport.save();
+
+        try {
+            await sendReadyEmail(user, dataExport);
+        } catch (err) {
+            console.log(`Data export email is not sent to ${user.email}: ${err.message}`);
+        }
+    } catch (err) {
+        console.log(`Data export(${dataExport._id}) failed: ${err.message}`);
+
+        dataExport.status = 'failed';
+        dataExport.completedAt = Date.now();
+        await dataExport.save();
+    }
+}
+
+// Take pending exports one at a time until none is left
+const processDataExports = async () => {
+    for(;;) {
+        const dataExport = await DataExport.findOneAndUpdate({
+            $or : [
+                {status : 'pending'},
+                {status : 'processing', startedAt : {$lte : new Date(Date.now() - PROCESSING_TIMEOUT)}}
+            ]
+        }, {
+            status : 'processing',
+            startedAt : Date.now()
+        }, {
+            new : true,
+            useFindAndModify : false
+        });
+
+        if(!dataExport) return;
+
+        await processExport(dataExport);
+    }
+}
+
+// Remove archives which are not downloadable anymore
+const removeExpiredExports = () => DataExport.deleteWithFiles({expiresAt : {$lte : new Date()}});
+
+// Pick up pending exports every minute
+const scheduleDataExports = (interval = 60*1000) => {
+    const run = () => processDataExports()
+        .then(removeExpiredExports)
+        .catch(err => console.log(`Data exports failed: ${err.message}`));
+
+    return setInterval(run, interval);
+}
+
+module.exports = {
+    processDataExports,
+    scheduleDataExports
+};
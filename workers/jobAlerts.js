@@ -0,0 +1,132 @@
+const qs = require('qs');
+const Job = require('../models/jobs');
+const SavedSearch = require('../models/savedSearches');
+const APIFilters = require('../utils/apiFilters');
+const querySchemas = require('../utils/querySchemas');
+const sendEmail = require('../utils/sendEmail');
+const { distanceUnits } = require('../utils/geocoder');
+
+const DAY = 24*60*60*1000;
+const frequencies = {
+    daily : DAY,
+    weekly : 7*DAY
+};
+
+// Maximum jobs listed in one digest
+const MAX_JOBS = 20;
+
+const baseUrl = () => process.env.APP_URL || `http://localhost:${process.env.PORT}`;
+
+// Find jobs posted after the last digest matching the saved search
+const findNewJobs = async search => {
+    // Saved query can not override the public conditions inside $and
+    const conditions = {
+        postingDate : { $gt : search.lastSentAt },
+        $and : [Job.publicFilter()]
+    };
+
+    if(search.location && search.location.coordinates.length === 2) {
+        // Searches saved before units existed are in miles
+        const { earthRadius } = distanceUnits[search.unit || 'mi'];
+
+        conditions.location = {
+            $geoWithin : { $centerSphere : [search.location.coordinates, search.distance / earthRadius] }
+        };
+    }
+
+    const apiFilters = new APIFilters(Job.find(conditions), qs.parse(search.query), querySchemas.jobs)
+        .filter()
+        .searchByQuery()
+        .sort();
+
+    return apiFilters.query.limit(MAX_JOBS);
+}
+
+// Searches saved before query parameters were checked may not be valid anymore
+const disableAlerts = async (search, errors) => {
+    search.alerts = false;
+    await search.save();
+
+    const message = `Hi ${search.user.name},\n\nYour saved search "${search.name}" has query parameters which are not supported anymore: ${errors.join(', ')}\n\nJob alerts are turned off for this search. Please update the search to receive alerts again.`;
+
+    await sendEmail({
+        email : search.user.email,
+        subject : `Jobbee-API job alert turned off: ${search.name}`,
+        message
+    });
+}
+
+const sendDigest = async (search, jobs) => {
+    const list = jobs
+        .map(job => `- ${job.title} at ${job.companyName}\n  ${baseUrl()}/api/v1/job/${job._id}/${job.slug}`)
+        .join('\n\n');
+
+    const unsubscribeUrl = `${baseUrl()}/api/v1/search/unsubscribe/${search.unsubscribeToken}`;
+
+    const message = `Hi ${search.user.name},\n\nNew jobs matching your saved search "${search.name}":\n\n${list}\n\nTo stop receiving these alerts, open this link:\n${unsubscribeUrl}`;
+
+    await sendEmail({
+        email : search.user.email,
+        subject : `Jobbee-API ${search.frequency} job alert: ${search.name}`,
+        message
+    });
+}
+
+// Send digests for every saved search that is due
+const sendJobAlerts = async () => {
+    const now = Date.now();
+
+    const searches = await SavedSearch.find({
+        alerts : true,
+        $or : Object.keys(frequencies).map(frequency => ({
+            frequency,
+            lastSentAt : { $lte : new Date(now - frequencies[frequency]) }
+        }))
+    })
+    .select('+unsubscribeToken')
+    .populate({
+        path : 'user',
+        select : 'name email'
+    });
+
+    for(let i=0; i<searches.length; i++) {
+        const search = searches[i];
+
+        try {
+            // Owner is deleted, the search is removed when the account is purged
+            if(!search.user) {
+                continue;
+            }
+
+            const errors = APIFilters.validate(qs.parse(search.query), querySchemas.jobs);
+
+            if(errors.length > 0) {
+                await disableAlerts(search, errors);
+                continue;
+            }
+
+            const jobs = await findNewJobs(search);
+
+            if(jobs.length > 0) {
+                await sendDigest(search, jobs);
+            }
+
+            search.lastSentAt = now;
+            await search.save();
+        } catch (err) {
+            console.log(`Job alert failed for search(${search._id}): ${err.message}`);
+        }
+    }
+}
+
+// Check for due alerts every hour
+const scheduleJobAlerts = (interval = 60*60*1000) => {
+    const run = () => sendJobAlerts().catch(err => console.log(`Job alerts failed: ${err.message}`));
+
+    return setInterval(run, interval);
+}
+
+module.exports = {
+    sendJobAlerts,
+    scheduleJobAlerts
+};
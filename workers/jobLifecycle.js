@@ -0,0 +1,33 @@
+const Job = require('../models/jobs');
+
+// Publish scheduled drafts and expire jobs after their last date
+const updateJobStatuses = async () => {
+    const now = new Date();
+
+    const published = await Job.updateMany(
+        { status : 'draft', publishAt : { $lte : now } },
+        { status : 'published', postingDate : now, $unset : { publishAt : 1 } }
+    );
+
+    const expired = await Job.updateMany(
+        { status : { $in : ['published', 'paused'] }, lastDate : { $lt : now } },
+        { status : 'expired' }
+    );
+
+    return {
+        published : published.nModified,
+        expired : expired.nModified
+    };
+}
+
+// Check job statuses every five minutes
+const scheduleJobLifecycle = (interval = 5*60*1000) => {
+    const run = () => updateJobStatuses().catch(err => console.log(`Job status update failed: ${err.message}`));
+
+    return setInterval(run, interval);
+}
+
+module.exports = {
+    updateJobStatuses,
+    scheduleJobLifecycle
+};
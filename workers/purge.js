@@ -0,0 +1,105 @@
+const User = require('../models/users');
+const Job = require('../models/jobs');
+const JobVersion = require('../models/jobVersions');
+const Application = require('../models/applications');
+const SavedSearch = require('../models/savedSearches');
+const Bookmark = require('../models/bookmarks');
+const Company = require('../models/companies');
+const Invitation = require('../models/invitations');
+const Session = require('../models/sessions');
+const DataExport = require('../models/dataExports');
+const softDelete = require('../utils/softDelete');
+
+const DAY = 24*60*60*1000;
+
+// Delete jobs with their applications, resume files and bookmarks
+const deleteJobs = async jobIds => {
+    await Application.deleteWithResumes({job : {$in : jobIds}});
+    await Bookmark.deleteMany({job : {$in : jobIds}});
+    await JobVersion.deleteMany({job : {$in : jobIds}});
+    await Job.deleteMany({_id : {$in : jobIds}});
+}
+
+// Delete user files and employeer jobs
+const deleteUserData = async (user, role) => {
+    if(role === 'employeer') {
+        // Jobs posted before companies existed
+        const jobs = await Job.find({user : user, company : {$exists : false}}).withDeleted().select('_id');
+        const jobIds = jobs.map(job => job._id);
+
+        // Leave company teams, companies without members are deleted with their jobs
+        const companies = await Company.find({'members.user' : user});
+
+        for(let i=0; i<companies.length; i++) {
+            const company = companies[i];
+            company.members = company.members.filter(member => member.user.toString() !== user.toString());
+
+            if(company.members.length === 0) {
+                const companyJobs = await Job.find({company : company._id}).withDeleted().select('_id');
+                companyJobs.forEach(job => jobIds.push(job._id));
+
+                await Invitation.deleteMany({company : company._id});
+                await company.remove();
+                continue;
+            }
+
+            // Promote the oldest member when the last owner leaves
+            if(!company.members.some(member => member.role === 'owner')) {
+                company.members[0].role = 'owner';
+            }
+
+            await company.save();
+        }
+
+        await deleteJobs(jobIds);
+    }
+
+    if(role === 'user') {
+        await Application.deleteWithResumes({user : user});
+    }
+
+    await SavedSearch.deleteMany({user : user});
+    await Session.deleteMany({user : user});
+    await Bookmark.deleteMany({user : user});
+    await DataExport.deleteWithFiles({user : user});
+}
+
+// Permanently delete jobs and users deleted before the retention window
+const purgeDeleted = async () => {
+    const deletedBefore = new Date(Date.now() - softDelete.retentionDays() * DAY);
+
+    const jobs = await Job.find({deletedAt : {$lte : deletedBefore}}).withDeleted().select('_id');
+
+    for(let i=0; i<jobs.length; i++) {
+        try {
+            await deleteJobs([jobs[i]._id]);
+        } catch (err) {
+            console.log(`Purging job(${jobs[i]._id}) failed: ${err.message}`);
+        }
+    }
+
+    const users = await User.find({deletedAt : {$lte : deletedBefore}}).withDeleted().select('role');
+
+    for(let i=0; i<users.length; i++) {
+        const user = users[i];
+
+        try {
+            await deleteUserData(user._id, user.role);
+            await User.deleteOne({_id : user._id});
+        } catch (err) {
+            console.log(`Purging user(${user._id}) failed: ${err.message}`);
+        }
+    }
+}
+
+// Purge deleted records once a day
+const schedulePurge = (interval = DAY) => {
+    const run = () => purgeDeleted().catch(err => console.log(`Purge failed: ${err.message}`));
+
+    return setInterval(run, interval);
+}
+
+module.exports = {
+    purgeDeleted,
+    schedulePurge
+};